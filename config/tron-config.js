@@ -4,18 +4,21 @@ export const NETWORKS = {
     solidityNode: 'https://api.trongrid.io',
     eventServer: 'https://api.trongrid.io',
     tronScan: 'https://tronscan.org',
+    tronScanApi: 'https://apilist.tronscanapi.com',
   },
   shasta: {
     fullNode: 'https://api.shasta.trongrid.io',
     solidityNode: 'https://api.shasta.trongrid.io',
     eventServer: 'https://api.shasta.trongrid.io',
     tronScan: 'https://shasta.tronscan.org',
+    tronScanApi: 'https://shastapi.tronscan.org',
   },
   nile: {
     fullNode: 'https://nile.trongrid.io',
     solidityNode: 'https://nile.trongrid.io',
     eventServer: 'https://nile.trongrid.io',
     tronScan: 'https://nile.tronscan.org',
+    tronScanApi: 'https://nileapi.tronscan.org',
   },
 };
 
@@ -33,6 +36,25 @@ export const CONTRACT_ADDRESSES = {
   },
 };
 
+// Labels for well-known contracts in transaction call traces
+export const KNOWN_CONTRACTS = {
+  mainnet: {
+    TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t: { name: 'Tether USD', symbol: 'USDT', type: 'TRC20', decimals: 6 },
+    TEkxiTehnzSmSe2XqrBj4w32RUN966rdz8: { name: 'USD Coin', symbol: 'USDC', type: 'TRC20', decimals: 6 },
+    TNUC9Qb1rRpS5CbWLmNMxXBjyFoydXjWFR: { name: 'Wrapped TRX', symbol: 'WTRX', type: 'TRC20', decimals: 6 },
+    TPYmHEhy5n8TCEfYGqW2rPxsghSfzghPDn: { name: 'Decentralized USD', symbol: 'USDD', type: 'TRC20', decimals: 18 },
+    TAFjULxiVgT4qWk6UZwjqwZXTSaGaqnVp4: { name: 'BitTorrent', symbol: 'BTT', type: 'TRC20', decimals: 18 },
+    TCFLL5dx5ZJdKnWuesXxi1VPwjLVmWZZy9: { name: 'JUST', symbol: 'JST', type: 'TRC20', decimals: 18 },
+    TSSMHYeV2uE9qYH95DqyoCuNCzEL1NvU3S: { name: 'SUN', symbol: 'SUN', type: 'TRC20', decimals: 18 },
+    TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7: { name: 'WINkLink', symbol: 'WIN', type: 'TRC20', decimals: 6 },
+    TKzxdSv2FZKQrEqkKVgp5DcwEXBEKMg2Ax: { name: 'SunSwap V2 Router', type: 'DEX router' },
+  },
+  shasta: {},
+  nile: {},
+};
+
+export const DEFAULT_NETWORK = 'mainnet';
+
 export const DEFAULT_FEE_LIMIT = 150000000; // 150 TRX
 export const DEFAULT_CALL_VALUE = 0;
 export const CONFIRMATION_TIME = 3000; // 3 seconds
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * API Key Pools for TRON MCP Server
+ * Rotates the TronGrid and TronScan API keys, counts their usage and retires
+ * keys that the provider rejects (invalid key or exhausted quota)
+ */
+
+export const API_KEY_HEADER = 'TRON-PRO-API-KEY';
+
+// Where each provider's keys are configured, in order of preference (comma-separated lists)
+const KEY_VARIABLES = {
+  trongrid: ['TRONGRID_API_KEYS', 'TRONGRID_API_KEY'],
+  tronscan: ['TRONSCAN_API_KEYS', 'API_KEYS'],
+};
+
+// A 403 body that rejects the key itself rather than the request rate
+// (TronGrid's rate limit answer reads "... exceeds the frequency limit ...")
+const KEY_REJECTED = /invalid|not exist|expired|revoked|disabled|quota|daily|monthly/i;
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Whether a URL is a TronGrid host (*.trongrid.io), the only hosts the TronGrid keys are sent to
+ */
+export function isTronGridHost(url) {
+  try {
+    const { hostname } = new URL(url);
+    return hostname === 'trongrid.io' || hostname.endsWith('.trongrid.io');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Key as shown in logs and diagnostics
+ */
+export function maskKey(key) {
+  return key.length <= 8 ? '****' : `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+export class ApiKeyPool {
+  /**
+   * @param {Object} options
+   * @param {string} options.provider - Provider name used in logs and statistics
+   * @param {string[]} options.keys - API keys, used round-robin
+   * @param {number} options.quotaCooldownMs - How long a key that ran out of quota is retired
+   */
+  constructor({ provider, keys = [], quotaCooldownMs = 60 * 60 * 1000 }) {
+    this.provider = provider;
+    this.quotaCooldownMs = quotaCooldownMs;
+    this.nextIndex = 0;
+    this.exhausted = false;
+    this.keys = [...new Set(keys)].map(key => ({
+      key,
+      retired: null, // { reason, status, at, until }
+      usage: { requests: 0, success: 0, failure: 0, rateLimited: 0 },
+      lastUsedAt: null
+    }));
+  }
+
+  /**
+   * Build a provider's pool from its environment variables
+   */
+  static fromEnv(provider, env = process.env) {
+    const variable = KEY_VARIABLES[provider].find(name => parseList(env[name]).length > 0);
+    const cooldown = env.API_KEY_QUOTA_COOLDOWN_MS;
+
+    return new ApiKeyPool({
+      provider,
+      keys: variable ? parseList(env[variable]) : [],
+      ...(cooldown !== undefined && cooldown !== '' ? { quotaCooldownMs: Number(cooldown) } : {})
+    });
+  }
+
+  isAvailable(entry) {
+    if (entry.retired?.until && Date.now() >= entry.retired.until) {
+      console.error(`[TRON-MCP] ${this.provider} API key ${maskKey(entry.key)} back in rotation`);
+      entry.retired = null;
+    }
+    return !entry.retired;
+  }
+
+  /**
+   * Next key in the rotation, or null when none is configured or all are retired
+   * (the request is then made without a key, at the provider's public rate limit)
+   */
+  acquire() {
+    for (let i = 0; i < this.keys.length; i++) {
+      const entry = this.keys[(this.nextIndex + i) % this.keys.length];
+      if (this.isAvailable(entry)) {
+        this.nextIndex = (this.keys.indexOf(entry) + 1) % this.keys.length;
+        entry.usage.requests++;
+        entry.lastUsedAt = Date.now();
+        this.exhausted = false;
+        return entry.key;
+      }
+    }
+
+    if (this.keys.length > 0 && !this.exhausted) {
+      this.exhausted = true;
+      console.error(`[TRON-MCP] All ${this.provider} API keys are retired, sending request without a key`);
+    }
+    return null;
+  }
+
+  /**
+   * Record the HTTP status a key got back (undefined for network errors)
+   * 401 retires the key for good, a 403 whose body rejects the key (invalid, out of quota) for the
+   * quota cooldown; other 403s and 429 are rate limits, handled by the request budget, and only counted.
+   * @param {string} key
+   * @param {number} status
+   * @param {string|Object} body - Response body of a failed request (optional)
+   * @returns {boolean} Whether the key was retired, so the request is worth repeating with another key
+   */
+  recordResult(key, status, body = null) {
+    const entry = this.keys.find(item => item.key === key);
+    if (!entry) {
+      return false;
+    }
+
+    if (status && status < 400) {
+      entry.usage.success++;
+      return false;
+    }
+
+    entry.usage.failure++;
+    const message = typeof body === 'string' ? body : JSON.stringify(body ?? '');
+    if (status === 401) {
+      this.retire(entry, 'invalid or revoked key', status, null);
+      return true;
+    } else if (status === 403 && KEY_REJECTED.test(message)) {
+      this.retire(entry, 'key rejected or quota exhausted', status, Date.now() + this.quotaCooldownMs);
+      return true;
+    } else if (status === 429 || status === 403) {
+      entry.usage.rateLimited++;
+    }
+    return false;
+  }
+
+  retire(entry, reason, status, until) {
+    if (!entry.retired) {
+      console.error(`[TRON-MCP] Retiring ${this.provider} API key ${maskKey(entry.key)}: ${reason} (HTTP ${status})`);
+    }
+    entry.retired = { reason, status, at: Date.now(), until };
+  }
+
+  getStats() {
+    return {
+      provider: this.provider,
+      configured: this.keys.length,
+      active: this.keys.filter(entry => this.isAvailable(entry)).length,
+      keys: this.keys.map(entry => ({
+        key: maskKey(entry.key),
+        status: entry.retired ? 'retired' : 'active',
+        retired_reason: entry.retired?.reason || null,
+        retired_at: entry.retired ? new Date(entry.retired.at).toISOString() : null,
+        retired_until: entry.retired?.until ? new Date(entry.retired.until).toISOString() : null,
+        last_used_at: entry.lastUsedAt ? new Date(entry.lastUsedAt).toISOString() : null,
+        ...entry.usage
+      }))
+    };
+  }
+}
+
+const pools = new Map();
+
+/**
+ * Shared key pool of a provider (trongrid, tronscan)
+ */
+export function getApiKeyPool(provider, env = process.env) {
+  if (!pools.has(provider)) {
+    pools.set(provider, ApiKeyPool.fromEnv(provider, env));
+  }
+  return pools.get(provider);
+}
+
+export function getApiKeyStats() {
+  return Object.keys(KEY_VARIABLES).map(provider => getApiKeyPool(provider).getStats());
+}
+
+/**
+ * Send a key from the pool with every request of an axios instance (TronWeb providers)
+ */
+export function applyApiKeyRotation(instance, pool) {
+  instance.interceptors.request.use((config) => {
+    const key = pool.acquire();
+    if (key) {
+      config.headers[API_KEY_HEADER] = key;
+    } else {
+      // A retried request must not resend a key retired in the meantime
+      delete config.headers[API_KEY_HEADER];
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      pool.recordResult(response.config.headers?.[API_KEY_HEADER], response.status);
+      return response;
+    },
+    (error) => {
+      error.keyRetired = pool.recordResult(error.config?.headers?.[API_KEY_HEADER], error.response?.status, error.response?.data);
+      throw error;
+    }
+  );
+
+  return instance;
+}
@@ -0,0 +1,169 @@
+/**
+ * Call Trace for TRON MCP Server
+ * Rebuilds the call tree of a contract transaction from its internal
+ * transactions and accounts for the TRX and energy it spent
+ */
+
+import { toBase58 } from './normalizers.js';
+import { decodeMessage } from './failure-diagnostics.js';
+
+const SUN_PER_TRX = 1000000;
+
+/**
+ * Call tree of a transaction
+ * The node lists internal transactions flat, in execution order. Each one is attached
+ * to the most recent open call into its caller, the frame that was executing it.
+ * @param {Object} transaction - gettransactionbyid response
+ * @param {Object} info - gettransactioninfobyid response (internal_transactions)
+ * @returns {Object} { caller, callee, value_sun, token_values, note, rejected, calls[] }
+ */
+export function buildCallTree(transaction = {}, info = {}) {
+  const contract = transaction.raw_data?.contract?.[0] || {};
+  const value = contract.parameter?.value || {};
+  const root = {
+    caller: toBase58(value.owner_address),
+    callee: toBase58(value.contract_address || value.to_address || info.contract_address),
+    value_sun: Number(value.call_value ?? value.amount ?? 0),
+    token_values: value.call_token_value
+      ? [{ token_id: String(value.token_id), value: Number(value.call_token_value) }]
+      : [],
+    note: 'call',
+    rejected: false,
+    calls: []
+  };
+
+  const stack = [root];
+  for (const internal of info.internal_transactions || []) {
+    const caller = toBase58(internal.caller_address);
+    let index = stack.length - 1;
+    while (index > 0 && stack[index].callee !== caller) {
+      index--;
+    }
+    stack.length = index + 1;
+
+    const values = internal.callValueInfo || [];
+    const node = {
+      caller,
+      callee: toBase58(internal.transferTo_address),
+      value_sun: values.filter(item => !item.tokenId).reduce((sum, item) => sum + Number(item.callValue || 0), 0),
+      token_values: values.filter(item => item.tokenId).map(item => ({ token_id: item.tokenId, value: Number(item.callValue || 0) })),
+      // call, create or suicide
+      note: decodeMessage(internal.note) || 'call',
+      rejected: Boolean(internal.rejected),
+      calls: []
+    };
+    stack[index].calls.push(node);
+    stack.push(node);
+  }
+
+  return root;
+}
+
+const walk = (node, visit, depth = 0) => {
+  visit(node, depth);
+  node.calls.forEach(child => walk(child, visit, depth + 1));
+};
+
+/**
+ * One indented line per call, e.g. "TXyz... -> SunSwap V2 Router [call] 100 TRX"
+ * @param {Function} label - Address to display name
+ */
+export function renderCallTree(root, label = (address) => address) {
+  const lines = [];
+  walk(root, (node, depth) => {
+    const parts = [`${label(node.caller)} -> ${label(node.callee)}`, `[${node.note}]`];
+    if (node.value_sun) {
+      parts.push(`${node.value_sun / SUN_PER_TRX} TRX`);
+    }
+    node.token_values.forEach(token => parts.push(`${token.value} of token ${token.token_id}`));
+    if (node.rejected) {
+      parts.push('REJECTED');
+    }
+    lines.push(`${'  '.repeat(depth)}${parts.join(' ')}`);
+  });
+  return lines;
+}
+
+/**
+ * Where the TRX and energy of a transaction went
+ * TRX: value moved along the call tree (rejected calls move nothing) and fees burned.
+ * Energy: who paid for it - the caller's staked energy, the contract owner (origin
+ * energy, per the contract's consume_user_resource_percent) or TRX burned by the caller.
+ */
+export function accountResources(root, info = {}) {
+  const receipt = info.receipt || {};
+  const flows = new Map();
+  let sent = 0;
+  let rejected = 0;
+
+  walk(root, (node) => {
+    if (!node.value_sun) {
+      return;
+    }
+    if (node.rejected) {
+      rejected += node.value_sun;
+      return;
+    }
+    sent += node.value_sun;
+    const key = `${node.caller}>${node.callee}`;
+    const flow = flows.get(key) || { from: node.caller, to: node.callee, value_sun: 0 };
+    flow.value_sun += node.value_sun;
+    flows.set(key, flow);
+  });
+
+  const total = receipt.energy_usage_total || 0;
+  const fromStake = receipt.energy_usage || 0;
+  const fromOwner = receipt.origin_energy_usage || 0;
+
+  return {
+    trx: {
+      moved_sun: sent,
+      rejected_sun: rejected,
+      flows: [...flows.values()],
+      fee_sun: info.fee || 0
+    },
+    energy: {
+      total,
+      from_caller_stake: fromStake,
+      from_contract_owner: fromOwner,
+      burned: Math.max(0, total - fromStake - fromOwner),
+      burned_fee_sun: receipt.energy_fee || 0,
+      penalty: receipt.energy_penalty_total || 0
+    },
+    bandwidth: {
+      used: receipt.net_usage || 0,
+      burned_fee_sun: receipt.net_fee || 0
+    }
+  };
+}
+
+/**
+ * Plain-language summary of accountResources()
+ */
+export function explainResources({ trx, energy, bandwidth }) {
+  const toTrx = (sun) => `${sun / SUN_PER_TRX} TRX`;
+  const lines = [
+    `The caller paid ${toTrx(trx.fee_sun)} in fees: ${toTrx(energy.burned_fee_sun)} for energy and ${toTrx(bandwidth.burned_fee_sun)} for bandwidth`
+  ];
+
+  if (energy.total > 0) {
+    const sources = [
+      energy.from_caller_stake && `${energy.from_caller_stake} from the caller's staked energy`,
+      energy.from_contract_owner && `${energy.from_contract_owner} paid by the contract owner`,
+      energy.burned && `${energy.burned} bought by burning ${toTrx(energy.burned_fee_sun)}`
+    ].filter(Boolean);
+    lines.push(`${energy.total} energy used: ${sources.join(', ') || 'no breakdown reported'}`);
+    if (energy.penalty > 0) {
+      lines.push(`${energy.penalty} of it is the dynamic energy penalty of a heavily used contract`);
+    }
+  }
+
+  if (trx.moved_sun > 0) {
+    lines.push(`${toTrx(trx.moved_sun)} moved in ${trx.flows.length} transfer(s) along the call tree`);
+  }
+  if (trx.rejected_sun > 0) {
+    lines.push(`${toTrx(trx.rejected_sun)} was sent in rejected calls and did not move`);
+  }
+
+  return lines;
+}
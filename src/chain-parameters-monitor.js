@@ -6,10 +6,22 @@
 import fetch from 'node-fetch';
 import fs from 'fs/promises';
 import path from 'path';
+import { applyEnergyFactor } from './dynamic-energy.js';
+
+const USDT_CONTRACT = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
 
 export class ChainParametersMonitor {
-  constructor(tronWeb) {
+  /**
+   * @param {TronWeb} tronWeb
+   * @param {Object} options
+   * @param {EnergyKnowledge} options.energyKnowledge - хранилище, которое используют оценщик и калибровка
+   */
+  constructor(tronWeb, { energyKnowledge = null } = {}) {
+    if (!energyKnowledge) {
+      throw new Error('ChainParametersMonitor requires the energy knowledge store');
+    }
     this.tronWeb = tronWeb;
+    this.energyKnowledge = energyKnowledge;
     this.cacheFile = path.join(process.cwd(), 'cache', 'chain-parameters.json');
     this.cache = null;
     this.cacheExpiry = 5 * 60 * 1000; // 5 минут
@@ -163,39 +175,55 @@ export class ChainParametersMonitor {
     }
   }
 
+  /**
+   * Получает текущий energy_factor контракта (динамический штраф энергии)
+   */
+  async getEnergyFactor(contractAddress) {
+    try {
+      const info = await this.tronWeb.fullNode.request(
+        'wallet/getcontractinfo',
+        { value: contractAddress, visible: true },
+        'post'
+      );
+      return info?.contract_state?.energy_factor || 0;
+    } catch (error) {
+      console.error('[CHAIN-PARAMS] Error getting energy factor:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Получает расход энергии для USDT трансфера
    */
   async getUSDTTransferEnergy(toAddress, isNewAddress = null) {
-    try {
-      // Если не указано, проверяем адрес
-      if (isNewAddress === null) {
-        try {
-          const account = await this.tronWeb.trx.getAccount(toAddress);
-          isNewAddress = !account || !account.address;
-        } catch {
-          isNewAddress = true; // Считаем новым в случае ошибки
-        }
+    // Если не указано, проверяем адрес
+    if (isNewAddress === null) {
+      try {
+        const account = await this.tronWeb.trx.getAccount(toAddress);
+        isNewAddress = !account || !account.address;
+      } catch {
+        isNewAddress = true; // Считаем новым в случае ошибки
       }
-
-      // Реальные значения из тестов netts.io
-      const energy = isNewAddress ? 130285 : 64285;
-      
-      return {
-        energy,
-        isNewAddress,
-        description: isNewAddress 
-          ? 'Первая отправка USDT на этот адрес (увеличенный расход)'
-          : 'Стандартная отправка USDT'
-      };
-    } catch (error) {
-      console.error('[CHAIN-PARAMS] Error getting USDT transfer energy:', error);
-      return {
-        energy: 65000,
-        isNewAddress: false,
-        description: 'Среднее значение (ошибка при определении)'
-      };
     }
+
+    // Базовая энергия из хранилища констант (energy-knowledge.js), умноженная на текущий
+    // energy_factor контракта USDT
+    const constant = this.energyKnowledge.getBaseEnergy(USDT_CONTRACT, 'transfer', {
+      variant: isNewAddress ? 'new_recipient' : 'existing_recipient'
+    });
+    const energyFactor = await this.getEnergyFactor(USDT_CONTRACT);
+
+    return {
+      energy: applyEnergyFactor(constant.base_energy, energyFactor || 0),
+      baseEnergy: constant.base_energy,
+      energyFactor,
+      isNewAddress,
+      lastVerified: constant.verified_at,
+      samples: constant.samples,
+      description: isNewAddress
+        ? 'Первая отправка USDT на этот адрес (увеличенный расход)'
+        : 'Стандартная отправка USDT'
+    };
   }
 
   /**
@@ -208,14 +236,16 @@ export class ChainParametersMonitor {
       let description = '';
 
       // Специальная обработка для USDT
-      if (contractAddress === 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t' && functionName === 'transfer') {
+      if (contractAddress === USDT_CONTRACT && functionName === 'transfer') {
         const toAddress = parameters[0];
         const usdtInfo = await this.getUSDTTransferEnergy(toAddress);
         energyRequired = usdtInfo.energy;
         description = usdtInfo.description;
       } else {
-        // Для других контрактов используем оценку
-        energyRequired = 50000; // Среднее значение
+        // Для других контрактов используем оценку из хранилища констант
+        energyRequired = this.energyKnowledge.getBaseEnergy(contractAddress, functionName, {
+          parameterCount: parameters.length
+        }).base_energy;
         description = 'Оценочное значение для смарт-контракта';
       }
 
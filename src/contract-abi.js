@@ -0,0 +1,494 @@
+/**
+ * Contract ABI support for TRON MCP Server
+ * Fetches and caches contract ABIs, resolves (overloaded) functions,
+ * encodes / decodes parameters for every Solidity ABI type and decodes event logs
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// Events decoded even when the emitting contract has no published ABI. TRC721 shares the
+// TRC20 signatures and is told apart by its indexed token id (one more topic).
+const STANDARD_EVENTS = [
+  ['Transfer', ['address from', 'address to', 'uint256 value'], 2],
+  ['Approval', ['address owner', 'address spender', 'uint256 value'], 2],
+  ['Transfer', ['address from', 'address to', 'uint256 tokenId'], 3],
+  ['Approval', ['address owner', 'address approved', 'uint256 tokenId'], 3],
+  ['ApprovalForAll', ['address owner', 'address operator', 'bool approved'], 2],
+].map(([name, params, indexedCount]) => ({
+  type: 'event',
+  name,
+  inputs: params.map((param, index) => {
+    const [type, paramName] = param.split(' ');
+    return { type, name: paramName, indexed: index < indexedCount };
+  })
+}));
+
+export class ContractAbi {
+  /**
+   * @param {Object} tronWeb - TronWeb instance of the network the contracts live on
+   * @param {Object} options
+   * @param {number} options.maxAge - How long a fetched ABI is reused (default: 1 hour)
+   */
+  constructor(tronWeb, { maxAge = 60 * 60 * 1000 } = {}) {
+    if (!tronWeb) {
+      throw new Error('ContractAbi requires tronWeb instance');
+    }
+    this.tronWeb = tronWeb;
+    this.maxAge = maxAge;
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the normalized ABI of a contract (cached)
+   * Uses wallet/getcontract and falls back to wallet/getcontractinfo
+   */
+  async getAbi(contractAddress) {
+    if (!this.tronWeb.isAddress(contractAddress)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid contract address: ${contractAddress}`
+      );
+    }
+
+    const cached = this.cache.get(contractAddress);
+    if (cached && Date.now() - cached.timestamp < this.maxAge) {
+      return cached.abi;
+    }
+
+    let entries = [];
+    try {
+      const contract = await this.tronWeb.fullNode.request(
+        'wallet/getcontract',
+        { value: contractAddress, visible: true },
+        'post'
+      );
+      entries = contract?.abi?.entrys || [];
+
+      if (entries.length === 0) {
+        const info = await this.tronWeb.fullNode.request(
+          'wallet/getcontractinfo',
+          { value: contractAddress, visible: true },
+          'post'
+        );
+        entries = info?.smart_contract?.abi?.entrys || [];
+      }
+    } catch (error) {
+      throw new Error(`Failed to fetch ABI for ${contractAddress}: ${error.message}`);
+    }
+
+    const abi = entries.map(entry => this.normalizeEntry(entry));
+    this.cache.set(contractAddress, { abi, timestamp: Date.now() });
+    return abi;
+  }
+
+  /**
+   * Node ABIs use "Function" / "View"; bring them to the Solidity JSON form
+   */
+  normalizeEntry(entry) {
+    return {
+      ...entry,
+      type: (entry.type || 'function').toLowerCase(),
+      stateMutability: entry.stateMutability ? entry.stateMutability.toLowerCase() : undefined,
+      inputs: entry.inputs || [],
+      outputs: entry.outputs || []
+    };
+  }
+
+  /**
+   * Canonical type used in function signatures (tuples expanded, uint -> uint256)
+   */
+  canonicalType(param) {
+    if (param.type.startsWith('tuple')) {
+      if (!param.components) {
+        throw new Error(`Tuple parameter '${param.name || ''}' has no components in the ABI`);
+      }
+      const inner = param.components.map(component => this.canonicalType(component)).join(',');
+      return `(${inner})${param.type.slice('tuple'.length)}`;
+    }
+    return param.type.replace(/^(u?int)(?=$|\[)/, '$1256');
+  }
+
+  /**
+   * Function signature used as function_selector, e.g. transfer(address,uint256)
+   */
+  getSignature(fn) {
+    return `${fn.name}(${fn.inputs.map(param => this.canonicalType(param)).join(',')})`;
+  }
+
+  /**
+   * Resolve a function by name or full signature, picking the right overload
+   * @param {string} contractAddress - Contract address
+   * @param {string} functionName - Function name ("transfer") or signature ("transfer(address,uint256)")
+   * @param {Array} parameters - Call arguments, used to choose between overloads
+   * @returns {Promise<Object>} ABI entry with its canonical `signature`
+   */
+  async resolveFunction(contractAddress, functionName, parameters = []) {
+    const abi = await this.getAbi(contractAddress);
+    const functions = abi.filter(entry => entry.type === 'function');
+
+    if (functionName.includes('(')) {
+      const signature = this.getSignature(this.parseSignature(functionName));
+      const match = functions.find(fn => this.getSignature(fn) === signature);
+
+      if (match) {
+        return { ...match, signature };
+      }
+      if (functions.length > 0) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Function '${signature}' not found in ABI of ${contractAddress}`
+        );
+      }
+      // Contract without a published ABI: trust the caller's signature
+      return { ...this.parseSignature(functionName), signature };
+    }
+
+    if (functions.length === 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Contract ${contractAddress} has no published ABI; pass the full signature, e.g. "${functionName}(address,uint256)"`
+      );
+    }
+
+    const named = functions.filter(fn => fn.name === functionName);
+    if (named.length === 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Function '${functionName}' not found in ABI of ${contractAddress}`
+      );
+    }
+
+    let candidates = named.filter(fn => fn.inputs.length === parameters.length);
+    if (candidates.length > 1) {
+      // Several overloads with the same arity: keep the ones the arguments encode against
+      candidates = candidates.filter(fn => {
+        try {
+          this.encodeParameters(fn, parameters);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      });
+    }
+
+    if (candidates.length !== 1) {
+      const signatures = named.map(fn => this.getSignature(fn)).join(', ');
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        candidates.length === 0
+          ? `No overload of '${functionName}' matches the given arguments; available: ${signatures}`
+          : `Call to '${functionName}' is ambiguous; pass one of these signatures: ${signatures}`
+      );
+    }
+
+    return { ...candidates[0], signature: this.getSignature(candidates[0]) };
+  }
+
+  /**
+   * Parse "name(type1,(type2,type3)[],...)" into an ABI function entry
+   */
+  parseSignature(signature) {
+    const compact = signature.replace(/\s+/g, '');
+    const match = compact.match(/^([A-Za-z_$][\w$]*)\((.*)\)$/);
+    if (!match) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid function signature: ${signature}`
+      );
+    }
+
+    return {
+      type: 'function',
+      name: match[1],
+      inputs: this.parseTypeList(match[2]),
+      outputs: []
+    };
+  }
+
+  parseTypeList(list) {
+    if (!list) {
+      return [];
+    }
+
+    const types = [];
+    let depth = 0;
+    let current = '';
+    for (const char of list) {
+      if (char === ',' && depth === 0) {
+        types.push(current);
+        current = '';
+        continue;
+      }
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      current += char;
+    }
+    types.push(current);
+
+    return types.map(type => {
+      if (type.startsWith('(')) {
+        const end = type.lastIndexOf(')');
+        return {
+          type: `tuple${type.slice(end + 1)}`,
+          components: this.parseTypeList(type.slice(1, end))
+        };
+      }
+      return { type };
+    });
+  }
+
+  /**
+   * Encode call arguments against a function's inputs
+   * Tuples may be given as arrays or as objects keyed by component name.
+   * @returns {string} Hex encoded parameters without 0x prefix ('' for no inputs)
+   */
+  encodeParameters(fn, parameters = []) {
+    if (fn.inputs.length !== parameters.length) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `${fn.name} expects ${fn.inputs.length} argument(s), got ${parameters.length}`
+      );
+    }
+    if (fn.inputs.length === 0) {
+      return '';
+    }
+
+    try {
+      const values = fn.inputs.map((param, index) => this.prepareValue(param, parameters[index]));
+      const encoded = this.tronWeb.utils.abi.encodeParamsV2ByABI(fn, values);
+      return encoded.replace(/^0x/, '');
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Cannot encode arguments for ${fn.signature || fn.name}: ${error.message}`
+      );
+    }
+  }
+
+  prepareValue(param, value) {
+    const arrayMatch = param.type.match(/^(.*)\[(\d*)\]$/);
+    if (arrayMatch) {
+      if (!Array.isArray(value)) {
+        throw new Error(`Expected an array for ${param.type}`);
+      }
+      if (arrayMatch[2] && value.length !== Number(arrayMatch[2])) {
+        throw new Error(`Expected ${arrayMatch[2]} items for ${param.type}, got ${value.length}`);
+      }
+      const itemParam = { ...param, type: arrayMatch[1] };
+      return value.map(item => this.prepareValue(itemParam, item));
+    }
+
+    if (param.type === 'tuple') {
+      const components = param.components || [];
+      if (Array.isArray(value)) {
+        return components.map((component, index) => this.prepareValue(component, value[index]));
+      }
+      if (value && typeof value === 'object') {
+        return components.map(component => this.prepareValue(component, value[component.name]));
+      }
+      throw new Error(`Expected an array or object for tuple '${param.name || ''}'`);
+    }
+
+    if (value === undefined || value === null) {
+      throw new Error(`Missing value for ${param.type} '${param.name || ''}'`);
+    }
+
+    if (param.type === 'address') {
+      if (!this.tronWeb.isAddress(value)) {
+        throw new Error(`Invalid address: ${value}`);
+      }
+      return value;
+    }
+
+    if (param.type === 'bool') {
+      if (value === 'true' || value === 'false') {
+        return value === 'true';
+      }
+      if (typeof value !== 'boolean') {
+        throw new Error(`Expected a boolean, got ${value}`);
+      }
+      return value;
+    }
+
+    if (/^bytes\d*$/.test(param.type)) {
+      if (typeof value !== 'string' || !/^(0x)?[0-9a-fA-F]*$/.test(value)) {
+        throw new Error(`Expected hex data for ${param.type}`);
+      }
+      return value.startsWith('0x') ? value : `0x${value}`;
+    }
+
+    if (/^u?int\d*$/.test(param.type) || param.type === 'trcToken') {
+      if (typeof value === 'bigint') {
+        return value.toString();
+      }
+      if (typeof value !== 'number' && (typeof value !== 'string' || !/^(-?\d+|0x[0-9a-fA-F]+)$/.test(value))) {
+        throw new Error(`Expected an integer for ${param.type}, got ${value}`);
+      }
+      return value;
+    }
+
+    return value;
+  }
+
+  /**
+   * Decode constant_result hex against a function's outputs
+   * A single output is returned as its value; several outputs as an object keyed
+   * by output name (or position when unnamed).
+   */
+  decodeOutputs(fn, hex) {
+    if (!fn.outputs || fn.outputs.length === 0 || !hex) {
+      return null;
+    }
+
+    const data = hex.startsWith('0x') ? hex : `0x${hex}`;
+    const decoded = this.tronWeb.utils.abi.decodeParamsV2ByABI(fn, data);
+    const values = fn.outputs.map((param, index) => this.formatValue(param, decoded[index]));
+
+    if (values.length === 1) {
+      return values[0];
+    }
+    return Object.fromEntries(fn.outputs.map((param, index) => [param.name || String(index), values[index]]));
+  }
+
+  /**
+   * topic0 of an event: keccak256 of its signature, hex without 0x
+   */
+  getEventTopic(event) {
+    return this.tronWeb.sha3(this.getSignature(event), false).toLowerCase();
+  }
+
+  /**
+   * Decode a transaction log (info.log entry) against the emitting contract's ABI
+   * Falls back to the standard TRC20 / TRC721 events when the ABI is unavailable or
+   * does not declare the event. Indexed strings, bytes, arrays and tuples are stored
+   * as their keccak256 hash in the topic and are returned as that hash.
+   * @param {Object} log - { address, topics, data } with hex topics and data
+   * @returns {Promise<Object>} { address, event, signature, args } or, when no event
+   *   matches, { address, event: null, topics, data }
+   */
+  async decodeLog(log) {
+    const address = this.tronWeb.address.fromHex(
+      /^(0x)?[0-9a-fA-F]{40}$/.test(log.address) ? `41${log.address.replace(/^0x/, '')}` : log.address
+    );
+    const topics = (log.topics || []).map(topic => topic.replace(/^0x/, '').toLowerCase());
+    const data = (log.data || '').replace(/^0x/, '');
+
+    let abi = [];
+    try {
+      abi = await this.getAbi(address);
+    } catch (error) {
+      console.error(`[TRON-MCP] No ABI to decode log of ${address}:`, error.message);
+    }
+
+    const event = [...abi.filter(entry => entry.type === 'event' && !entry.anonymous), ...STANDARD_EVENTS]
+      .find(entry => topics[0] === this.getEventTopic(entry)
+        && entry.inputs.filter(param => param.indexed).length === topics.length - 1);
+    if (!event) {
+      return { address, event: null, topics, data };
+    }
+
+    try {
+      const indexed = event.inputs.filter(param => param.indexed);
+      const plain = event.inputs.filter(param => !param.indexed);
+      const decodedData = plain.length > 0
+        ? this.tronWeb.utils.abi.decodeParamsV2ByABI({ outputs: plain }, `0x${data}`)
+        : [];
+
+      const values = new Map();
+      indexed.forEach((param, index) => {
+        const topic = topics[index + 1];
+        const hashed = /^(string|bytes)$|\[|^tuple/.test(param.type);
+        values.set(param, hashed
+          ? `0x${topic}`
+          : this.formatValue(param, this.tronWeb.utils.abi.decodeParamsV2ByABI({ outputs: [param] }, `0x${topic}`)[0]));
+      });
+      plain.forEach((param, index) => values.set(param, this.formatValue(param, decodedData[index])));
+
+      return {
+        address,
+        event: event.name,
+        signature: this.getSignature(event),
+        args: Object.fromEntries(event.inputs.map((param, index) => [param.name || String(index), values.get(param)]))
+      };
+    } catch (error) {
+      return { address, event: event.name, signature: this.getSignature(event), error: error.message, topics, data };
+    }
+  }
+
+  /**
+   * Convert decoded ABI values to JSON-friendly form
+   * (integers as decimal strings, addresses in base58, tuples as objects)
+   */
+  formatValue(param, value) {
+    const arrayMatch = param.type.match(/^(.*)\[(\d*)\]$/);
+    if (arrayMatch) {
+      const itemParam = { ...param, type: arrayMatch[1] };
+      return [...value].map(item => this.formatValue(itemParam, item));
+    }
+
+    if (param.type === 'tuple') {
+      return Object.fromEntries((param.components || []).map((component, index) => [
+        component.name || String(index),
+        this.formatValue(component, value[index])
+      ]));
+    }
+
+    if (param.type === 'address') {
+      return this.tronWeb.address.fromHex(value);
+    }
+
+    if (/^u?int\d*$/.test(param.type) || param.type === 'trcToken') {
+      return value.toString();
+    }
+
+    return value;
+  }
+
+  /**
+   * Scale an integer string by 10^decimals without losing precision ("1234500", 6 -> "1.2345")
+   */
+  formatUnits(value, decimals) {
+    const amount = BigInt(value);
+    const negative = amount < 0n;
+    const digits = (negative ? -amount : amount).toString().padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  /**
+   * Inverse of formatUnits: "1.2345", 6 -> "1234500"
+   * Rejects amounts with more fractional digits than the token supports.
+   */
+  parseUnits(amount, decimals) {
+    const match = String(amount).trim().match(/^(\d*)(?:\.(\d*))?$/);
+    if (!match || (!match[1] && !match[2])) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid amount: ${amount}`
+      );
+    }
+
+    const fraction = (match[2] || '').replace(/0+$/, '');
+    if (fraction.length > decimals) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Amount ${amount} has more than ${decimals} decimal places`
+      );
+    }
+
+    return BigInt(`${match[1] || '0'}${fraction.padEnd(decimals, '0')}`).toString();
+  }
+
+  /**
+   * Forget cached ABIs (all, or one contract)
+   */
+  clearCache(contractAddress = null) {
+    if (contractAddress) {
+      this.cache.delete(contractAddress);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
@@ -1,5 +1,5 @@
 import { TronGridAPIParser } from '../parsers/trongrid-api.js';
-import { CacheManager } from '../cache/cache-manager.js';
+import { CacheManager } from '../cache-manager.js';
 import { CodeExamplesManager } from '../../code-examples/manager.js';
 
 export class UnifiedDocumentationAPI {
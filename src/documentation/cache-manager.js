@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Manages the on-disk documentation cache written by the parsers
+ */
+export class CacheManager {
+  constructor(cacheDir = path.join(__dirname, 'cache'), maxAge = 7 * 24 * 60 * 60 * 1000) {
+    this.cacheDir = cacheDir;
+    this.maxAge = maxAge; // 7 days
+  }
+
+  /**
+   * Lists cached JSON files recursively with their stats
+   */
+  async listFiles(dir = this.cacheDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(fullPath));
+      } else if (entry.name.endsWith('.json')) {
+        const stats = await fs.stat(fullPath);
+        files.push({ path: fullPath, size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Removes cache files older than maxAge
+   */
+  async cleanup() {
+    const files = await this.listFiles();
+    const now = Date.now();
+    let removed = 0;
+
+    for (const file of files) {
+      if (now - file.mtimeMs > this.maxAge) {
+        try {
+          await fs.unlink(file.path);
+          removed++;
+        } catch (error) {
+          console.error('Failed to remove cache file:', error.message);
+        }
+      }
+    }
+
+    return { removed, remaining: files.length - removed };
+  }
+
+  /**
+   * Returns cache size and age statistics
+   */
+  async getStats() {
+    const files = await this.listFiles();
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    const times = files.map(file => file.mtimeMs);
+
+    return {
+      directory: this.cacheDir,
+      files: files.length,
+      total_size_kb: Math.round(totalSize / 1024),
+      oldest: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+      newest: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null
+    };
+  }
+}
@@ -3,6 +3,7 @@ import * as cheerio from 'cheerio';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { requestWithRetry } from '../../request-policy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,12 +50,13 @@ export class TronGridAPIParser {
       
       // Используем puppeteer или playwright для динамического контента
       // Для примера используем axios + cheerio (может потребоваться puppeteer для SPA)
-      const response = await axios.get(methodUrl, {
+      // Лимит запросов 'docs' и повторы при 429/5xx (DOCS_REQUESTS_PER_SECOND)
+      const response = await requestWithRetry('docs', () => axios.get(methodUrl, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (compatible; MCP-TRON-Server)',
           'Accept': 'text/html,application/xhtml+xml'
         }
-      });
+      }), `Docs ${methodPath}`);
 
       const $ = cheerio.load(response.data);
       
@@ -297,7 +299,7 @@ export class TronGridAPIParser {
       }
 
       // Загружаем страницу со списком всех методов
-      const response = await axios.get(this.apiReferenceUrl);
+      const response = await requestWithRetry('docs', () => axios.get(this.apiReferenceUrl), 'Docs index');
       const $ = cheerio.load(response.data);
       
       const methods = [];
@@ -347,9 +349,7 @@ export class TronGridAPIParser {
       } catch (error) {
         updates.push({ path: method.path, status: 'error', error: error.message });
       }
-      
-      // Задержка между запросами чтобы не перегружать сервер
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      // Темп запросов задаёт бюджет 'docs' в getMethodDocumentation; ответы из кеша не ждут
     }
 
     return updates;
@@ -0,0 +1,126 @@
+/**
+ * Dynamic Energy Model for TRON MCP Server
+ * Heavily used contracts cost more energy per call: each contract has an energy_factor
+ * (getcontractinfo contract_state) that multiplies the energy of its calls. At every
+ * maintenance the factor rises when the contract used more than getDynamicEnergyThreshold
+ * energy in the last cycle, up to getDynamicEnergyMaxFactor, and decays otherwise.
+ */
+
+// Factors are expressed in 1/10000: 34000 means +340% energy
+export const FACTOR_PRECISION = 10000;
+
+// The factor decays at a quarter of the rate it rises (java-tron DYNAMIC_ENERGY_DECREASE_DIVISION)
+const DECREASE_DIVISION = 4;
+
+/**
+ * Dynamic energy settings from a getchainparameters response
+ * @returns {Object} { enabled, threshold, increase_factor, max_factor, maintenance_interval_ms }
+ */
+export function readDynamicEnergyParameters(response = {}) {
+  const parameters = {};
+  for (const { key, value } of response.chainParameter || []) {
+    parameters[key] = value || 0;
+  }
+
+  return {
+    enabled: Boolean(parameters.getAllowDynamicEnergy),
+    threshold: parameters.getDynamicEnergyThreshold || 0,
+    increase_factor: parameters.getDynamicEnergyIncreaseFactor || 0,
+    max_factor: parameters.getDynamicEnergyMaxFactor || 0,
+    maintenance_interval_ms: parameters.getMaintenanceTimeInterval || 6 * 60 * 60 * 1000
+  };
+}
+
+/**
+ * Energy factor after the next maintenance
+ * @param {number} factor - Current energy factor
+ * @param {boolean} thresholdReached - Whether the contract used at least the threshold this cycle
+ */
+export function nextEnergyFactor(factor, thresholdReached, { increase_factor, max_factor }) {
+  const rate = increase_factor / FACTOR_PRECISION;
+  if (thresholdReached) {
+    return Math.min(max_factor, Math.floor((factor + FACTOR_PRECISION) * (1 + rate) - FACTOR_PRECISION));
+  }
+  return Math.max(0, Math.floor((factor + FACTOR_PRECISION) * (1 - rate / DECREASE_DIVISION) - FACTOR_PRECISION));
+}
+
+/**
+ * Energy of a call at a given factor
+ */
+export function applyEnergyFactor(baseEnergy, factor) {
+  return Math.round(baseEnergy * (1 + factor / FACTOR_PRECISION));
+}
+
+const percent = (factor) => Math.round(factor / FACTOR_PRECISION * 10000) / 100;
+
+/**
+ * Split an estimate into base and penalty energy and project it to the next cycle
+ * @param {Object} options
+ * @param {number} options.energy - Estimated energy, penalty included
+ * @param {number} options.penalty - Penalty reported by the node (triggerconstantcontract), if any
+ * @param {Object} options.contractState - getcontractinfo contract_state
+ * @param {Object} options.parameters - readDynamicEnergyParameters() result
+ * @param {number} options.nextMaintenance - Next maintenance time in ms (getnextmaintenancetime), if known
+ * @param {number} options.now - Current time in ms
+ */
+export function analyzeDynamicEnergy({ energy, penalty, contractState = {}, parameters, nextMaintenance, now = Date.now() }) {
+  const factor = parameters.enabled ? contractState.energy_factor || 0 : 0;
+  const usage = contractState.energy_usage || 0;
+  const penaltyEnergy = penalty ?? (energy - Math.round(energy / (1 + factor / FACTOR_PRECISION)));
+  const baseEnergy = energy - penaltyEnergy;
+
+  const analysis = {
+    enabled: parameters.enabled,
+    energy_factor: factor,
+    penalty_percent: percent(factor),
+    base_energy: baseEnergy,
+    penalty_energy: penaltyEnergy,
+    usage_this_cycle: usage,
+    threshold: parameters.threshold,
+    max_factor: parameters.max_factor,
+    next_cycle: null,
+    explanation: []
+  };
+
+  if (!parameters.enabled) {
+    analysis.explanation.push('Dynamic energy is disabled on this network: calls cost their base energy');
+    return analysis;
+  }
+
+  analysis.explanation.push(factor > 0
+    ? `The contract's energy factor is ${factor} (+${percent(factor)}%): ${baseEnergy} base energy plus ${penaltyEnergy} penalty`
+    : `The contract has no energy penalty: the call costs its base energy (${baseEnergy})`);
+
+  const ifReached = nextEnergyFactor(factor, true, parameters);
+  const ifBelow = nextEnergyFactor(factor, false, parameters);
+
+  // Extrapolate this cycle's usage to the end of the cycle to guess which way the factor goes
+  let projectedUsage = null;
+  if (nextMaintenance) {
+    const elapsed = parameters.maintenance_interval_ms - (nextMaintenance - now);
+    if (elapsed > 0) {
+      projectedUsage = Math.round(usage * parameters.maintenance_interval_ms / elapsed);
+    }
+  }
+  const expectReached = usage >= parameters.threshold
+    || (projectedUsage !== null && projectedUsage >= parameters.threshold);
+  const expectedFactor = expectReached ? ifReached : ifBelow;
+
+  analysis.next_cycle = {
+    at: nextMaintenance ? new Date(nextMaintenance).toISOString() : null,
+    projected_usage: projectedUsage,
+    expected_trend: expectedFactor > factor ? 'increase' : expectedFactor < factor ? 'decrease' : 'unchanged',
+    energy_factor: expectedFactor,
+    projected_energy: applyEnergyFactor(baseEnergy, expectedFactor),
+    if_threshold_reached: { energy_factor: ifReached, energy: applyEnergyFactor(baseEnergy, ifReached) },
+    if_below_threshold: { energy_factor: ifBelow, energy: applyEnergyFactor(baseEnergy, ifBelow) }
+  };
+
+  const pace = projectedUsage !== null ? ` (on pace for ${projectedUsage})` : '';
+  const outlook = usage >= parameters.threshold
+    ? 'has reached'
+    : expectReached ? 'is on pace to reach' : 'stays below';
+  analysis.explanation.push(`Usage this cycle, ${usage}${pace}, ${outlook} the ${parameters.threshold} threshold: expect factor ${expectedFactor} and about ${analysis.next_cycle.projected_energy} energy after the next maintenance`);
+
+  return analysis;
+}
@@ -0,0 +1,166 @@
+/**
+ * Energy Calibration for TRON MCP Server
+ * Recomputes the constants of the energy knowledge store from real receipts: samples recent
+ * blocks, picks the successful calls to known contract functions and stores the median base
+ * energy (energy_usage_total minus energy_penalty_total) of each variant.
+ */
+
+import { toBase58 } from './normalizers.js';
+
+// Blocks are produced every 3 seconds: sample the last hour
+const DEFAULT_WINDOW = 1200;
+const DEFAULT_BLOCKS = 20;
+const MIN_SAMPLES = 5;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+export class EnergyCalibrator {
+  /**
+   * @param {Object} tronWeb - TronWeb instance of the network
+   * @param {EnergyKnowledge} energyKnowledge - Store to calibrate
+   */
+  constructor(tronWeb, energyKnowledge) {
+    this.tronWeb = tronWeb;
+    this.energyKnowledge = energyKnowledge;
+    this.updateInterval = null;
+    this.running = null;
+  }
+
+  /**
+   * Recalibrate now and then every intervalMs
+   */
+  start(intervalMs, options = {}) {
+    const run = () => this.calibrate(options).catch(error => {
+      console.error('[TRON-MCP] Energy calibration failed:', error.message);
+    });
+    run();
+    this.updateInterval = setInterval(run, intervalMs);
+    this.updateInterval.unref?.();
+  }
+
+  stop() {
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval);
+      this.updateInterval = null;
+    }
+  }
+
+  /**
+   * Sample recent blocks and store the calibrated values (one run at a time)
+   * @param {Object} options
+   * @param {number} options.blocks - Blocks to sample (default: 20)
+   * @param {number} options.window - Recent blocks the sample is spread over (default: 1200, one hour)
+   * @param {Function} options.request - (path, data) => node HTTP response, defaults to the full node
+   * @returns {Promise<Object>} Samples and calibrated values per function variant
+   */
+  async calibrate(options = {}) {
+    if (!this.running) {
+      this.running = this.runCalibration(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runCalibration({
+    blocks = DEFAULT_BLOCKS,
+    window = DEFAULT_WINDOW,
+    request = (path, data) => this.tronWeb.fullNode.request(path, data, 'post')
+  } = {}) {
+    // selector -> { address, signature } of every known contract function
+    const targets = new Map();
+    for (const [address, contract] of Object.entries(this.energyKnowledge.getContracts())) {
+      for (const signature of Object.keys(contract.functions)) {
+        const selector = this.tronWeb.sha3(signature, false).slice(0, 8).toLowerCase();
+        targets.set(`${address}:${selector}`, { address, signature });
+      }
+    }
+    if (targets.size === 0) {
+      return { network: this.energyKnowledge.network, sampled_blocks: null, calls_found: {}, calibrated: {}, min_samples: MIN_SAMPLES };
+    }
+
+    const head = (await request('wallet/getnowblock', {}))?.block_header?.raw_data?.number;
+    if (!head) {
+      throw new Error('Could not read the latest block');
+    }
+
+    const step = Math.max(1, Math.floor(window / blocks));
+    const numbers = Array.from({ length: blocks }, (_, index) => head - 1 - index * step).filter(num => num > 0);
+    const samples = new Map();
+
+    for (const num of numbers) {
+      const block = await request('wallet/getblockbynum', { num });
+      const infos = await request('wallet/gettransactioninfobyblocknum', { num });
+      const receipts = new Map((Array.isArray(infos) ? infos : []).map(info => [info.id, info]));
+
+      for (const transaction of block?.transactions || []) {
+        const contract = transaction.raw_data?.contract?.[0];
+        if (contract?.type !== 'TriggerSmartContract' || transaction.ret?.[0]?.contractRet !== 'SUCCESS') {
+          continue;
+        }
+        const value = contract.parameter?.value || {};
+        const key = `${toBase58(value.contract_address)}:${(value.data || '').slice(0, 8).toLowerCase()}`;
+        const target = targets.get(key);
+        const receipt = receipts.get(transaction.txID)?.receipt;
+        if (!target || !receipt?.energy_usage_total) {
+          continue;
+        }
+        const list = samples.get(key) || [];
+        list.push(receipt.energy_usage_total - (receipt.energy_penalty_total || 0));
+        samples.set(key, list);
+      }
+    }
+
+    const calibrated = {};
+    const verifiedAt = new Date().toISOString();
+    for (const [key, values] of samples) {
+      const { address, signature } = targets.get(key);
+      const variants = this.energyKnowledge.getFunction(address, signature).variants;
+
+      // Each sample belongs to the variant with the closest current value
+      const groups = {};
+      for (const energy of values) {
+        const [variant] = Object.entries(variants)
+          .sort(([, a], [, b]) => Math.abs(a.base_energy - energy) - Math.abs(b.base_energy - energy))[0];
+        (groups[variant] ||= []).push(energy);
+      }
+
+      for (const [variant, energies] of Object.entries(groups)) {
+        if (energies.length < MIN_SAMPLES) {
+          continue;
+        }
+        calibrated[address] ||= {};
+        calibrated[address][signature] ||= {};
+        calibrated[address][signature][variant] = {
+          base_energy: median(energies),
+          min_energy: Math.min(...energies),
+          max_energy: Math.max(...energies),
+          source: 'calibration',
+          verified_at: verifiedAt,
+          samples: energies.length
+        };
+      }
+    }
+
+    const sampledBlocks = { from: numbers[numbers.length - 1], to: numbers[0], count: numbers.length };
+    if (Object.keys(calibrated).length > 0) {
+      this.energyKnowledge.saveCalibration(calibrated, { sampled_blocks: sampledBlocks });
+    }
+    console.error(`[TRON-MCP] Energy calibration sampled ${numbers.length} blocks, ${[...samples.values()].flat().length} calls`);
+
+    return {
+      network: this.energyKnowledge.network,
+      sampled_blocks: sampledBlocks,
+      calls_found: Object.fromEntries([...samples].map(([key, values]) => {
+        const { address, signature } = targets.get(key);
+        return [`${address} ${signature}`, values.length];
+      })),
+      calibrated,
+      min_samples: MIN_SAMPLES
+    };
+  }
+}
@@ -2,16 +2,76 @@ import TronWeb from 'tronweb';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ContractAbi } from './contract-abi.js';
+import { decodeMessage, diagnoseDryRun } from './failure-diagnostics.js';
+import { analyzeDynamicEnergy, readDynamicEnergyParameters } from './dynamic-energy.js';
+import { EnergyKnowledge, getNetworkCacheDir } from './energy-knowledge.js';
+import { EnergyHistory } from './energy-history.js';
+import { EstimateTracker } from './estimate-tracker.js';
+
+const CHAIN_PARAMETERS_MAX_AGE = 10 * 60 * 1000;
+// Sampled calls needed before history stands in for a node estimate
+const MIN_HISTORY_SAMPLES = 10;
+// Token transfers whose cost depends on whether the recipient already holds the token: signature -> recipient argument
+const RECIPIENT_ARGUMENT = {
+  'transfer(address,uint256)': 0,
+  'transferFrom(address,address,uint256)': 1
+};
+
+/**
+ * Estimation methods, best first, with what their numbers do not account for
+ */
+export const ESTIMATION_METHODS = {
+  estimateenergy: {
+    accuracy: 'high',
+    limitations: [
+      'Simulated against the latest block: state that changes before the transaction is mined (balances, allowances, storage) changes the cost',
+      'Simulated as callerAddress (default: the server address); another sender can take a different code path',
+      'Includes the dynamic energy penalty at the current energy factor; the factor can change at the next maintenance (see dynamic_energy.next_cycle)',
+    ],
+  },
+  triggerconstantcontract: {
+    accuracy: 'medium',
+    limitations: [
+      'Energy used by one dry run, not a search for the energy the call needs: calls that forward energy to other contracts can need more',
+      'Simulated against the latest block: state that changes before the transaction is mined (balances, allowances, storage) changes the cost',
+      'Simulated as callerAddress (default: the server address); another sender can take a different code path',
+      'Includes the dynamic energy penalty at the current energy factor; the factor can change at the next maintenance (see dynamic_energy.next_cycle)',
+    ],
+  },
+  historical: {
+    accuracy: 'medium',
+    limitations: [
+      'Median energy of past calls to this function in scanned blocks (scan_energy_history): the arguments and the current state of this call are not considered',
+      'Reflects the energy factor at the time of the samples; historical.base_energy excludes the penalty',
+      'Size fee limits from historical.energy.p90 / p99 rather than the median',
+    ],
+  },
+  static: {
+    accuracy: 'low',
+    limitations: [
+      'Table value by function name, not a simulation: ignores the contract code, the arguments and the current state',
+      'Base energy only: the dynamic energy penalty of heavily used contracts (up to several times the base) is not included',
+    ],
+  },
+};
 
 /**
  * EnergyEstimator class for accurate energy consumption estimation
  * Directly interacts with TRON node instead of TronScan API
  */
 export class EnergyEstimator {
-  constructor(tronWeb) {
+  constructor(tronWeb, { network = 'mainnet', contractAbi = null, energyKnowledge = null, energyHistory = null, estimateTracker = null } = {}) {
     this.tronWeb = tronWeb;
-    this.cacheDir = path.join(process.cwd(), 'cache');
-    this.contractCache = new Map();
+    this.network = network;
+    this.contractAbi = contractAbi || new ContractAbi(tronWeb);
+    this.chainParameters = null;
+    // Testnet history is cached separately so it never mixes with mainnet data
+    this.cacheDir = getNetworkCacheDir(network);
+    this.energyKnowledge = energyKnowledge || new EnergyKnowledge({ network, cacheDir: this.cacheDir });
+    this.energyHistory = energyHistory || new EnergyHistory(tronWeb, { cacheDir: this.cacheDir });
+    this.estimateTracker = estimateTracker || new EstimateTracker({ network, cacheDir: this.cacheDir });
     // Don't call async function in constructor
     this.ensureCacheDirSync();
   }
@@ -33,405 +93,286 @@ export class EnergyEstimator {
       console.error('Failed to create cache directory:', error);
     }
   }
-
   /**
    * Estimate energy consumption for a smart contract call
+   * The call is only simulated by the node: nothing is signed or broadcast.
    * @param {string} contractAddress - Contract address
-   * @param {string} functionName - Function name to call
-   * @param {Array} parameters - Function parameters
+   * @param {string} functionName - Function name or full signature (for overloads / contracts without ABI)
+   * @param {Array} parameters - Function parameters, encoded against the contract ABI
    * @param {string} callerAddress - Address of the caller (optional)
-   * @param {number} feeLimit - Fee limit in SUN (optional)
+   * @param {Object} options
+   * @param {number} options.callValue - TRX sent with the call in SUN
+   * @param {Function} options.request - (path, data) => node HTTP response, defaults to the full node
    * @returns {Promise<Object>} Energy estimation result
    */
-  async estimateContractEnergy(contractAddress, functionName, parameters = [], callerAddress = null, feeLimit = 100000000) {
+  async estimateContractEnergy(contractAddress, functionName, parameters = [], callerAddress = null, { callValue = 0, request } = {}) {
     try {
-      // Validate contract address
-      if (!this.tronWeb.isAddress(contractAddress)) {
-        throw new Error(`Invalid contract address: ${contractAddress}`);
-      }
-
-      // Use default address if caller not provided
-      const fromAddress = callerAddress || this.tronWeb.defaultAddress.base58;
-      if (!fromAddress) {
-        throw new Error('No caller address provided and no default address set');
-      }
-
-      // Get contract instance
-      const contract = await this.getContractInstance(contractAddress);
-      
-      // Build transaction
-      const transaction = await this.buildContractTransaction(
-        contract,
-        functionName,
-        parameters,
-        fromAddress,
-        feeLimit
-      );
-
-      // Estimate energy using different methods
-      const estimations = await this.performEnergyEstimation(
-        transaction,
-        contractAddress,
-        functionName,
-        parameters,
-        fromAddress
-      );
-
-      return {
-        contractAddress,
-        functionName,
-        parameters,
-        callerAddress: fromAddress,
-        estimations,
-        recommended: estimations.triggerConstantContract || estimations.estimateEnergy || estimations.fallback,
-        timestamp: new Date().toISOString()
-      };
-
+      const call = await this.prepareCall(contractAddress, functionName, parameters, callerAddress, callValue);
+      return await this.estimateCall(call, request);
     } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
       console.error('Energy estimation failed:', error);
       throw new Error(`Energy estimation failed: ${error.message}`);
     }
   }
 
   /**
-   * Get contract instance with caching
+   * Resolve the function from the contract ABI and encode the request body shared by
+   * wallet/estimateenergy and wallet/triggerconstantcontract
    */
-  async getContractInstance(contractAddress) {
-    if (this.contractCache.has(contractAddress)) {
-      return this.contractCache.get(contractAddress);
+  async prepareCall(contractAddress, functionName, parameters = [], callerAddress = null, callValue = 0) {
+    if (!this.tronWeb.isAddress(contractAddress)) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid contract address: ${contractAddress}`);
+    }
+    if (callerAddress && !this.tronWeb.isAddress(callerAddress)) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid caller address: ${callerAddress}`);
     }
 
-    try {
-      const contract = await this.tronWeb.contract().at(contractAddress);
-      this.contractCache.set(contractAddress, contract);
-      return contract;
-    } catch (error) {
-      throw new Error(`Failed to get contract instance: ${error.message}`);
+    // Use default address if caller not provided
+    const fromAddress = callerAddress || this.tronWeb.defaultAddress.base58;
+    if (!fromAddress) {
+      throw new Error('No caller address provided and no default address set');
     }
-  }
 
-  /**
-   * Build contract transaction
-   */
-  async buildContractTransaction(contract, functionName, parameters, fromAddress, feeLimit) {
-    try {
-      // Check if function exists
-      if (!contract[functionName]) {
-        throw new Error(`Function '${functionName}' not found in contract`);
+    const fn = await this.contractAbi.resolveFunction(contractAddress, functionName, parameters);
+
+    return {
+      contractAddress,
+      functionName,
+      functionSignature: fn.signature,
+      parameters,
+      callerAddress: fromAddress,
+      callValue,
+      data: {
+        owner_address: fromAddress,
+        contract_address: contractAddress,
+        function_selector: fn.signature,
+        parameter: this.contractAbi.encodeParameters(fn, parameters),
+        ...(callValue ? { call_value: callValue } : {}),
+        visible: true
       }
-
-      // Build transaction
-      const transaction = await contract[functionName](...parameters).send({
-        from: fromAddress,
-        feeLimit: feeLimit,
-        shouldPollResponse: false,
-        callValue: 0
-      });
-
-      return transaction;
-    } catch (error) {
-      throw new Error(`Failed to build transaction: ${error.message}`);
-    }
+    };
   }
 
   /**
-   * Perform energy estimation using multiple methods
+   * Run the estimation pipeline for a prepared call
+   * wallet/estimateenergy first, wallet/triggerconstantcontract when the node does not
+   * offer it or it fails. Transport errors of the last method are thrown so the caller
+   * can retry on another provider.
+   * @param {Object} call - prepareCall() result
+   * @param {Function} request - (path, data) => node HTTP response
    */
-  async performEnergyEstimation(transaction, contractAddress, functionName, parameters, fromAddress) {
+  async estimateCall(call, request = (path, data) => this.tronWeb.fullNode.request(path, data, 'post')) {
+    const { data, ...details } = call;
     const estimations = {};
+    let failure = null;
 
-    // Method 1: triggerConstantContract (most accurate for read operations)
+    // Method 1: the energy the call needs to succeed, as searched by the node
     try {
-      const constantResult = await this.tronWeb.trx.triggerConstantContract(
-        contractAddress,
-        functionName,
-        {},
-        parameters,
-        fromAddress
-      );
-      
-      if (constantResult && constantResult.energy_used) {
-        estimations.triggerConstantContract = {
-          energy: constantResult.energy_used,
-          method: 'triggerConstantContract',
-          accuracy: 'high'
+      const response = await request('wallet/estimateenergy', data);
+      if (response?.result?.result && response.energy_required !== undefined) {
+        estimations.estimateenergy = { energy: response.energy_required };
+      } else {
+        estimations.estimateenergy = {
+          error: response?.Error || decodeMessage(response?.result?.message) || 'No energy_required in the response'
         };
       }
     } catch (error) {
-      console.warn('triggerConstantContract estimation failed:', error.message);
+      estimations.estimateenergy = { error: error.message };
     }
 
-    // Method 2: estimateEnergy (for write operations)
-    try {
-      // For USDT, use direct contract call estimation
-      if (contractAddress === 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t' && functionName === 'transfer') {
-        const contract = await this.getContractInstance(contractAddress);
-        const energyEstimate = await this.tronWeb.transactionBuilder.estimateEnergy(
-          contract.transfer(parameters[0], parameters[1]),
-          fromAddress
-        );
-
-        if (energyEstimate && energyEstimate.energy_required) {
-          estimations.estimateEnergy = {
-            energy: energyEstimate.energy_required,
-            method: 'estimateEnergy',
-            accuracy: 'high'
-          };
-        }
-      } else {
-        const energyEstimate = await this.tronWeb.transactionBuilder.estimateEnergy(
-          contractAddress,
-          functionName,
-          {},
-          parameters,
-          fromAddress
-        );
-
-        if (energyEstimate && energyEstimate.energy_required) {
-          estimations.estimateEnergy = {
-            energy: energyEstimate.energy_required,
-            method: 'estimateEnergy',
-            accuracy: 'medium'
-          };
-        }
+    // Method 2: energy used by one dry run; it also returns the revert data of failing calls
+    let penalty;
+    if (estimations.estimateenergy.error) {
+      const response = await request('wallet/triggerconstantcontract', data);
+      if (response?.Error) {
+        throw new Error(response.Error);
       }
-    } catch (error) {
-      console.warn('estimateEnergy estimation failed:', error.message);
+      failure = diagnoseDryRun(response);
+      penalty = response.energy_penalty;
+      estimations.triggerconstantcontract = {
+        energy: response.energy_used || 0,
+        energy_penalty: response.energy_penalty || 0,
+        ...(failure ? { failed: true } : {})
+      };
     }
 
-    // Method 3: Direct RPC call to node
-    try {
-      const rpcResult = await this.estimateEnergyViaRPC(
-        contractAddress,
-        functionName,
-        parameters,
-        fromAddress
-      );
-      
-      if (rpcResult) {
-        estimations.rpcCall = {
-          energy: rpcResult.energy_used || rpcResult.energy_required,
-          method: 'rpcCall',
-          accuracy: 'high'
-        };
+    const method = estimations.estimateenergy.error ? 'triggerconstantcontract' : 'estimateenergy';
+    const energy = failure ? null : estimations[method].energy;
+
+    // Base versus penalty energy; the estimate stands without it
+    let dynamicEnergy = null;
+    if (!failure) {
+      try {
+        const state = await this.getDynamicEnergyState(details.contractAddress, request);
+        dynamicEnergy = analyzeDynamicEnergy({ energy, penalty, ...state });
+      } catch (error) {
+        console.error(`[TRON-MCP] Dynamic energy lookup failed: ${error.message}`);
       }
-    } catch (error) {
-      console.warn('RPC estimation failed:', error.message);
     }
 
-    // Method 4: Historical data analysis
-    try {
-      const historicalEstimate = await this.getHistoricalEnergyUsage(
-        contractAddress,
-        functionName
-      );
-      
-      if (historicalEstimate) {
-        estimations.historical = {
-          energy: historicalEstimate.averageEnergy,
-          method: 'historical',
-          accuracy: 'medium',
-          sampleSize: historicalEstimate.sampleSize
-        };
+    // Percentiles of past calls to the same function, when its contract was scanned
+    const historical = await this.energyHistory.getFunctionStats(
+      details.contractAddress,
+      this.energyHistory.getSelector(details.functionSignature)
+    );
+
+    // A transfer to an address that never held the token also allocates its balance slot
+    let recipient = null;
+    if (!failure && RECIPIENT_ARGUMENT[details.functionSignature] !== undefined) {
+      try {
+        recipient = await this.getRecipientState(call, request);
+      } catch (error) {
+        console.error(`[TRON-MCP] Recipient balance lookup failed: ${error.message}`);
       }
-    } catch (error) {
-      console.warn('Historical estimation failed:', error.message);
     }
 
-    // Fallback estimation based on contract type and function
-    estimations.fallback = {
-      energy: this.getFallbackEnergyEstimate(functionName, parameters, contractAddress),
-      method: 'fallback',
-      accuracy: 'low'
+    return {
+      ...details,
+      recommended: energy,
+      method,
+      accuracy: ESTIMATION_METHODS[method].accuracy,
+      limitations: ESTIMATION_METHODS[method].limitations,
+      estimations,
+      dynamic_energy: dynamicEnergy,
+      historical,
+      recipient,
+      failure,
+      ...(failure ? { note: 'The call would fail, so there is no energy to estimate. Simulate it from a callerAddress that can make it (holds the tokens, has the allowance)' } : {}),
+      timestamp: new Date().toISOString()
     };
-
-    return estimations;
   }
 
   /**
-   * Estimate energy via direct RPC call
+   * Whether the recipient of a token transfer already holds the token
+   * @param {Object} call - prepareCall() result of a transfer or transferFrom
+   * @param {Function} request - (path, data) => node HTTP response
+   * @returns {Promise<Object>} { address, holds_token }
    */
-  async estimateEnergyViaRPC(contractAddress, functionName, parameters, fromAddress) {
-    try {
-      // For USDT transfer, use proper parameter encoding
-      if (contractAddress === 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t' && functionName === 'transfer') {
-        const contract = await this.getContractInstance(contractAddress);
-        const transaction = await contract.transfer(parameters[0], parameters[1]).send({
-          from: fromAddress,
-          feeLimit: 100000000,
-          shouldPollResponse: false
-        });
-        
-        if (transaction && transaction.energy_used) {
-          return { energy_used: transaction.energy_used };
-        }
-      }
-
-      const functionSelector = this.tronWeb.utils.sha3(functionName).slice(0, 8);
-      const parametersEncoded = this.tronWeb.utils.abi.encodeParams(
-        ['address', 'string', 'array'],
-        [contractAddress, functionName, parameters]
-      );
-
-      const rpcCall = {
-        owner_address: this.tronWeb.address.toHex(fromAddress),
-        contract_address: this.tronWeb.address.toHex(contractAddress),
-        function_selector: functionSelector,
-        parameter: parametersEncoded,
-        visible: true
-      };
-
-      const result = await this.tronWeb.trx.call('wallet/triggerconstantcontract', rpcCall);
-      return result;
-    } catch (error) {
-      console.warn('RPC call failed:', error.message);
-      return null;
+  async getRecipientState(call, request) {
+    const address = call.parameters[RECIPIENT_ARGUMENT[call.functionSignature]];
+    const response = await request('wallet/triggerconstantcontract', {
+      owner_address: call.callerAddress,
+      contract_address: call.contractAddress,
+      function_selector: 'balanceOf(address)',
+      parameter: this.contractAbi.encodeParameters(this.contractAbi.parseSignature('balanceOf(address)'), [address]),
+      visible: true
+    });
+    const balance = response?.constant_result?.[0];
+    if (!balance) {
+      throw new Error(response?.Error || 'No balanceOf result');
     }
+    return { address, holds_token: BigInt(`0x${balance}`) > 0n };
   }
 
   /**
-   * Get historical energy usage for a contract function
+   * Energy factor and usage of a contract with the network's dynamic energy settings
+   * @param {Function} request - (path, data) => node HTTP response
+   * @returns {Promise<Object>} { contractState, parameters, nextMaintenance }
    */
-  async getHistoricalEnergyUsage(contractAddress, functionName) {
-    try {
-      const cacheKey = `${contractAddress}_${functionName}_history`;
-      const cachePath = path.join(this.cacheDir, `${cacheKey}.json`);
-
-      // Try to load from cache
-      try {
-        const cached = await fs.readFile(cachePath, 'utf8');
-        const data = JSON.parse(cached);
-        if (Date.now() - data.timestamp < 24 * 60 * 60 * 1000) { // 24 hours
-          return data;
-        }
-      } catch (error) {
-        // Cache miss, continue to fetch
-      }
-
-      // Fetch recent transactions for this contract
-      const transactions = await this.getRecentContractTransactions(contractAddress, functionName);
-      
-      if (transactions.length > 0) {
-        const energyUsages = transactions
-          .filter(tx => tx.energy_used && tx.energy_used > 0)
-          .map(tx => tx.energy_used);
-
-        if (energyUsages.length > 0) {
-          const averageEnergy = Math.round(
-            energyUsages.reduce((sum, energy) => sum + energy, 0) / energyUsages.length
-          );
-
-          const historicalData = {
-            averageEnergy,
-            sampleSize: energyUsages.length,
-            timestamp: Date.now()
-          };
+  async getDynamicEnergyState(contractAddress, request = (path, data) => this.tronWeb.fullNode.request(path, data, 'post')) {
+    if (!this.chainParameters || Date.now() - this.chainParameters.timestamp > CHAIN_PARAMETERS_MAX_AGE) {
+      const response = await request('wallet/getchainparameters', {});
+      this.chainParameters = { value: readDynamicEnergyParameters(response), timestamp: Date.now() };
+    }
 
-          // Cache the result
-          await fs.writeFile(cachePath, JSON.stringify(historicalData, null, 2));
-          return historicalData;
-        }
-      }
+    const info = await request('wallet/getcontractinfo', { value: contractAddress, visible: true });
+    if (info?.Error) {
+      throw new Error(info.Error);
+    }
 
-      return null;
+    let nextMaintenance = null;
+    try {
+      nextMaintenance = (await request('wallet/getnextmaintenancetime', {}))?.num || null;
     } catch (error) {
-      console.warn('Historical analysis failed:', error.message);
-      return null;
+      // Only needed to extrapolate this cycle's usage
     }
+
+    return {
+      contractState: info?.contract_state || {},
+      parameters: this.chainParameters.value,
+      nextMaintenance
+    };
   }
 
   /**
-   * Get recent transactions for a contract
+   * Estimate for when no node can simulate the call: the median of scanned past calls to
+   * the function when there are enough, the static constants otherwise
+   * @param {string} reason - Why the node estimation was not available
    */
-  async getRecentContractTransactions(contractAddress, functionName, limit = 50) {
+  async offlineEstimate(contractAddress, functionName, parameters = [], callerAddress = null, reason = null) {
+    let historical = null;
     try {
-      // This would typically query the TRON node for recent transactions
-      // For now, we'll use a simplified approach
-      const currentBlock = await this.tronWeb.trx.getCurrentBlock();
-      const transactions = [];
-
-      // Search through recent blocks for contract transactions
-      for (let i = 0; i < 10 && transactions.length < limit; i++) {
-        const blockNum = currentBlock.block_header.raw_data.number - i;
-        const block = await this.tronWeb.trx.getBlock(blockNum);
-        
-        if (block.transactions) {
-          for (const tx of block.transactions) {
-            if (tx.raw_data.contract && tx.raw_data.contract[0]) {
-              const contract = tx.raw_data.contract[0];
-              if (contract.type === 'TriggerSmartContract' && 
-                  contract.parameter.value.contract_address === this.tronWeb.address.toHex(contractAddress)) {
-                
-                const txInfo = await this.tronWeb.trx.getTransactionInfo(tx.txID);
-                if (txInfo.receipt && txInfo.receipt.energy_usage) {
-                  transactions.push({
-                    txID: tx.txID,
-                    energy_used: txInfo.receipt.energy_usage,
-                    block_number: blockNum
-                  });
-                }
-              }
-            }
-          }
+      const candidates = [];
+      for (const selector of await this.energyHistory.getSelectors(contractAddress, functionName)) {
+        const stats = await this.energyHistory.getFunctionStats(contractAddress, selector);
+        // A plain name can match several overloads: keep the one taking this many arguments
+        const arity = stats?.signature ? this.contractAbi.parseSignature(stats.signature).inputs.length : parameters.length;
+        if (stats && arity === parameters.length) {
+          candidates.push(stats);
         }
       }
-
-      return transactions;
+      historical = candidates.sort((a, b) => b.energy.samples - a.energy.samples)[0] || null;
     } catch (error) {
-      console.warn('Failed to get recent transactions:', error.message);
-      return [];
+      console.error(`[TRON-MCP] Energy history lookup failed: ${error.message}`);
+    }
+
+    if (!historical || historical.energy.samples < MIN_HISTORY_SAMPLES) {
+      return { ...this.staticEstimate(contractAddress, functionName, parameters, callerAddress, reason), historical };
     }
+
+    return {
+      contractAddress,
+      functionName,
+      functionSignature: historical.signature,
+      parameters,
+      callerAddress,
+      recommended: historical.energy.p50.value,
+      method: 'historical',
+      accuracy: ESTIMATION_METHODS.historical.accuracy,
+      limitations: ESTIMATION_METHODS.historical.limitations,
+      estimations: {},
+      dynamic_energy: null,
+      historical,
+      failure: null,
+      note: `The node could not simulate the call${reason ? ` (${reason})` : ''}`,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Static table estimate, for when no node can simulate the call
+   * @param {string} reason - Why the node estimation was not available
+   */
+  staticEstimate(contractAddress, functionName, parameters = [], callerAddress = null, reason = null) {
+    const constant = this.energyKnowledge.getBaseEnergy(contractAddress, functionName, { parameterCount: parameters.length });
+    return {
+      contractAddress,
+      functionName,
+      parameters,
+      callerAddress,
+      recommended: constant.base_energy,
+      method: 'static',
+      constant,
+      accuracy: ESTIMATION_METHODS.static.accuracy,
+      limitations: ESTIMATION_METHODS.static.limitations,
+      estimations: {},
+      dynamic_energy: null,
+      historical: null,
+      failure: null,
+      note: `The node could not simulate the call${reason ? ` (${reason})` : ''}`,
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
    * Get fallback energy estimate based on function type
+   * Values are base energy from the energy knowledge store, before the dynamic energy penalty
    */
   getFallbackEnergyEstimate(functionName, parameters, contractAddress) {
-    const functionLower = functionName.toLowerCase();
-    
-    // USDT (TRC20) specific estimates
-    if (contractAddress === 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t') {
-      if (functionLower === 'transfer') {
-        return 13940; // Actual USDT transfer energy cost
-      }
-      if (functionLower === 'approve') {
-        return 13180; // USDT approve energy cost
-      }
-      if (functionLower === 'transferfrom') {
-        return 18190; // USDT transferFrom energy cost
-      }
-      if (functionLower === 'balanceof') {
-        return 680; // USDT balance query energy cost
-      }
-    }
-    
-    // Common TRC20 patterns
-    if (functionLower.includes('transfer') || functionLower.includes('send')) {
-      // For new address activation
-      if (parameters.length > 2) {
-        return 31990; // Energy cost for new address activation
-      }
-      return 14010; // Standard transfer to existing address
-    }
-    
-    if (functionLower.includes('approve') || functionLower.includes('allowance')) {
-      return 10000;
-    }
-    
-    if (functionLower.includes('swap') || functionLower.includes('exchange')) {
-      return 50000;
-    }
-    
-    if (functionLower.includes('mint') || functionLower.includes('burn')) {
-      return 30000;
-    }
-    
-    if (functionLower.includes('view') || functionLower.includes('get') || functionLower.includes('balance')) {
-      return 1000;
-    }
-    
-    // Default estimate based on parameter count
-    return 20000 + (parameters.length * 5000);
+    return this.energyKnowledge.getBaseEnergy(contractAddress, functionName, { parameterCount: parameters.length }).base_energy;
   }
 
   /**
@@ -447,7 +388,7 @@ export class EnergyEstimator {
           call.functionName,
           call.parameters || [],
           call.callerAddress,
-          call.feeLimit
+          { callValue: call.callValue }
         );
         results.push(result);
       } catch (error) {
@@ -467,32 +408,38 @@ export class EnergyEstimator {
    */
   async analyzeContractGasCosts(contractAddress) {
     try {
-      const contract = await this.getContractInstance(contractAddress);
-      
       // Get contract info
       const contractInfo = await this.tronWeb.trx.getContract(contractAddress);
+      const abi = await this.contractAbi.getAbi(contractAddress);
       
+      const history = await this.energyHistory.getStats(contractAddress);
+      const historical = new Map(history.functions.map(stats => [stats.selector, stats]));
+
       const analysis = {
         contractAddress,
         contractName: contractInfo.name,
         functions: [],
         totalFunctions: 0,
+        scannedBlocks: history.scanned,
         timestamp: new Date().toISOString()
       };
 
       // Analyze each function if ABI is available
-      if (contractInfo.abi && contractInfo.abi.entrys) {
-        for (const entry of contractInfo.abi.entrys) {
-          if (entry.type === 'Function') {
-            const functionAnalysis = {
-              name: entry.name,
-              type: entry.stateMutability || 'nonpayable',
-              inputs: entry.inputs || [],
-              estimatedEnergy: this.getFallbackEnergyEstimate(entry.name, entry.inputs || [], contractAddress)
-            };
-
-            analysis.functions.push(functionAnalysis);
-          }
+      for (const entry of abi) {
+        if (entry.type === 'function') {
+          const signature = this.contractAbi.getSignature(entry);
+          const stats = historical.get(`0x${this.energyHistory.getSelector(signature)}`);
+          const functionAnalysis = {
+            name: entry.name,
+            signature,
+            type: entry.stateMutability || 'nonpayable',
+            inputs: entry.inputs,
+            estimatedEnergy: stats ? stats.energy.p50.value : this.getFallbackEnergyEstimate(entry.name, entry.inputs, contractAddress),
+            estimateSource: stats ? 'historical' : 'static',
+            historical: stats ? { energy: stats.energy, base_energy: stats.base_energy } : null
+          };
+
+          analysis.functions.push(functionAnalysis);
         }
       }
 
@@ -506,13 +453,16 @@ export class EnergyEstimator {
 
   /**
    * Clear cache
+   * Calibrated energy constants are kept: they are measurements, not cached answers
    */
   async clearCache() {
     try {
-      this.contractCache.clear();
+      this.contractAbi.clearCache();
+      // Calibrated constants and tracked estimates are records, not cache
+      const keep = [path.basename(this.energyKnowledge.calibrationFile), path.basename(this.estimateTracker.file)];
       const files = await fs.readdir(this.cacheDir);
       for (const file of files) {
-        if (file.endsWith('.json')) {
+        if (file.endsWith('.json') && !keep.includes(file)) {
           await fs.unlink(path.join(this.cacheDir, file));
         }
       }
@@ -0,0 +1,293 @@
+/**
+ * Energy History for TRON MCP Server
+ * Scans block ranges for calls to a contract and keeps the energy of each successful call
+ * locally (cache/<network>/energy-history/<contract>.json), so estimates and reports can use
+ * percentiles of what calls to a function really cost.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { toBase58 } from './normalizers.js';
+
+// getblockbylimitnext returns at most 100 blocks per request
+const BLOCK_BATCH = 100;
+// Newest samples kept per contract
+const MAX_SAMPLES = 20000;
+// z for two-sided 95% confidence intervals
+const Z_95 = 1.96;
+
+/**
+ * Nearest-rank percentiles with distribution-free 95% confidence intervals
+ * The interval of quantile q is bounded by the order statistics at n*q -/+ 1.96*sqrt(n*q*(1-q)).
+ * @param {number[]} values
+ * @returns {Object|null} { samples, mean, min, max, p50, p90, p99 } with p* = { value, ci95: [low, high] }
+ */
+export function percentileStats(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const at = (rank) => sorted[Math.min(n, Math.max(1, rank)) - 1];
+  const quantile = (q) => {
+    const spread = Z_95 * Math.sqrt(n * q * (1 - q));
+    return {
+      value: at(Math.ceil(n * q)),
+      ci95: [at(Math.floor(n * q - spread)), at(Math.ceil(n * q + spread))]
+    };
+  };
+
+  return {
+    samples: n,
+    mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / n),
+    min: sorted[0],
+    max: sorted[n - 1],
+    p50: quantile(0.5),
+    p90: quantile(0.9),
+    p99: quantile(0.99)
+  };
+}
+
+/**
+ * Add [from, to] to a sorted list of disjoint block ranges
+ */
+const addRange = (ranges, from, to) => {
+  const merged = [];
+  for (const [start, end] of [...ranges, [from, to]].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+};
+
+/**
+ * The ranges without the blocks before `from`
+ */
+const trimRanges = (ranges, from) => ranges
+  .filter(([, end]) => end >= from)
+  .map(([start, end]) => [Math.max(start, from), end]);
+
+/**
+ * Parts of [from, to] not covered by the ranges
+ */
+const missingRanges = (ranges, from, to) => {
+  const missing = [];
+  let next = from;
+  for (const [start, end] of ranges) {
+    if (end < next || start > to) {
+      continue;
+    }
+    if (start > next) {
+      missing.push([next, start - 1]);
+    }
+    next = Math.max(next, end + 1);
+  }
+  if (next <= to) {
+    missing.push([next, to]);
+  }
+  return missing;
+};
+
+export class EnergyHistory {
+  /**
+   * @param {Object} tronWeb - TronWeb instance of the network
+   * @param {Object} options
+   * @param {string} options.cacheDir - Network cache directory
+   */
+  constructor(tronWeb, { cacheDir }) {
+    this.tronWeb = tronWeb;
+    this.historyDir = path.join(cacheDir, 'energy-history');
+    this.stores = new Map();
+  }
+
+  /**
+   * 4-byte selector of a function signature, without 0x
+   */
+  getSelector(signature) {
+    return this.tronWeb.sha3(signature, false).slice(0, 8).toLowerCase();
+  }
+
+  /**
+   * Stored history of a contract: { contract, functions: { selector: signature }, scanned: [[from, to]], samples }
+   */
+  async load(contractAddress) {
+    if (!this.stores.has(contractAddress)) {
+      let store = { contract: contractAddress, functions: {}, scanned: [], samples: [] };
+      try {
+        store = JSON.parse(await fs.readFile(path.join(this.historyDir, `${contractAddress}.json`), 'utf8'));
+      } catch (error) {
+        // Nothing scanned yet
+      }
+      this.stores.set(contractAddress, store);
+    }
+    return this.stores.get(contractAddress);
+  }
+
+  async save(store) {
+    await fs.mkdir(this.historyDir, { recursive: true });
+    await fs.writeFile(path.join(this.historyDir, `${store.contract}.json`), JSON.stringify(store));
+  }
+
+  /**
+   * Scan the latest blocks for successful calls to a contract
+   * Blocks scanned before are skipped and progress is saved after every batch, so an
+   * interrupted scan resumes where it stopped.
+   * @param {string} contractAddress - Contract address
+   * @param {Object} options
+   * @param {number} options.blocks - How many of the latest blocks to cover
+   * @param {Object} options.functions - { selector: signature } to label the samples with
+   * @param {Function} options.request - (path, data) => node HTTP response, defaults to the full node
+   * @param {Function} options.onProgress - (scannedBlocks, totalBlocks) after every batch
+   * @returns {Promise<Object>} { range, blocks_scanned, new_samples, total_samples }
+   */
+  async scan(contractAddress, {
+    blocks,
+    functions = {},
+    request = (path, data) => this.tronWeb.fullNode.request(path, data, 'post'),
+    onProgress = null
+  }) {
+    const store = await this.load(contractAddress);
+    Object.assign(store.functions, functions);
+
+    const head = (await request('wallet/getnowblock', {}))?.block_header?.raw_data?.number;
+    if (!head) {
+      throw new Error('Could not read the latest block');
+    }
+
+    const from = Math.max(1, head - blocks + 1);
+    const missing = missingRanges(store.scanned, from, head);
+    const total = missing.reduce((sum, [start, end]) => sum + end - start + 1, 0);
+    let scanned = 0;
+    let found = 0;
+
+    for (const [start, end] of missing) {
+      for (let batchStart = start; batchStart <= end; batchStart += BLOCK_BATCH) {
+        const batchEnd = Math.min(end, batchStart + BLOCK_BATCH - 1);
+        const response = await request('wallet/getblockbylimitnext', { startNum: batchStart, endNum: batchEnd + 1 });
+
+        for (const block of response?.block || []) {
+          const calls = (block.transactions || []).filter(transaction => {
+            const contract = transaction.raw_data?.contract?.[0];
+            return contract?.type === 'TriggerSmartContract'
+              && transaction.ret?.[0]?.contractRet === 'SUCCESS'
+              && toBase58(contract.parameter?.value?.contract_address) === contractAddress;
+          });
+          if (calls.length === 0) {
+            continue;
+          }
+
+          const header = block.block_header.raw_data;
+          const infos = await request('wallet/gettransactioninfobyblocknum', { num: header.number });
+          const receipts = new Map((Array.isArray(infos) ? infos : []).map(info => [info.id, info.receipt]));
+
+          for (const transaction of calls) {
+            const receipt = receipts.get(transaction.txID);
+            if (!receipt?.energy_usage_total) {
+              continue;
+            }
+            store.samples.push({
+              block: header.number,
+              timestamp: header.timestamp,
+              selector: (transaction.raw_data.contract[0].parameter.value.data || '').slice(0, 8).toLowerCase(),
+              energy: receipt.energy_usage_total,
+              penalty: receipt.energy_penalty_total || 0
+            });
+            found++;
+          }
+        }
+
+        store.scanned = addRange(store.scanned, batchStart, batchEnd);
+        if (store.samples.length > MAX_SAMPLES) {
+          store.samples.sort((a, b) => a.block - b.block);
+          // Pruned blocks no longer count as scanned, so a later scan of them fetches their
+          // samples again; a block that lost part of its samples is dropped as a whole
+          const dropped = store.samples[store.samples.length - MAX_SAMPLES - 1];
+          const cutoff = dropped.block + 1;
+          store.samples = store.samples.slice(-MAX_SAMPLES).filter(sample => sample.block >= cutoff);
+          store.scanned = trimRanges(store.scanned, cutoff);
+        }
+        await this.save(store);
+
+        scanned += batchEnd - batchStart + 1;
+        if (onProgress) {
+          await onProgress(scanned, total);
+        }
+      }
+    }
+
+    return {
+      contract: contractAddress,
+      range: { from, to: head },
+      blocks_scanned: scanned,
+      blocks_skipped: head - from + 1 - scanned,
+      new_samples: found,
+      total_samples: store.samples.length
+    };
+  }
+
+  /**
+   * Selectors of a function given by selector, signature or plain name (names need a scan
+   * that recorded the contract's functions)
+   */
+  async getSelectors(contractAddress, functionName) {
+    if (/^(0x)?[0-9a-fA-F]{8}$/.test(functionName)) {
+      return [functionName.replace(/^0x/, '').toLowerCase()];
+    }
+    if (functionName.includes('(')) {
+      return [this.getSelector(functionName.replace(/\s+/g, ''))];
+    }
+    const store = await this.load(contractAddress);
+    return Object.entries(store.functions)
+      .filter(([, signature]) => signature.split('(')[0] === functionName)
+      .map(([selector]) => selector);
+  }
+
+  /**
+   * Percentiles of the stored samples, per function
+   * @param {string} contractAddress - Contract address
+   * @param {Object} options
+   * @param {string[]} options.selectors - Only these functions (default: all)
+   * @returns {Promise<Object>} { contract, scanned, functions: [{ selector, signature, energy, base_energy, ... }] }
+   */
+  async getStats(contractAddress, { selectors = null } = {}) {
+    const store = await this.load(contractAddress);
+    const groups = new Map();
+    for (const sample of store.samples) {
+      if (selectors && !selectors.includes(sample.selector)) {
+        continue;
+      }
+      const group = groups.get(sample.selector) || [];
+      group.push(sample);
+      groups.set(sample.selector, group);
+    }
+
+    return {
+      contract: contractAddress,
+      scanned: store.scanned,
+      functions: [...groups].map(([selector, samples]) => {
+        const blocks = samples.map(sample => sample.block);
+        return {
+          selector: `0x${selector}`,
+          signature: store.functions[selector] || null,
+          from_block: Math.min(...blocks),
+          to_block: Math.max(...blocks),
+          energy: percentileStats(samples.map(sample => sample.energy)),
+          base_energy: percentileStats(samples.map(sample => sample.energy - sample.penalty))
+        };
+      }).sort((a, b) => b.energy.samples - a.energy.samples)
+    };
+  }
+
+  /**
+   * Stats of one function, or null when nothing was sampled
+   */
+  async getFunctionStats(contractAddress, selector) {
+    const stats = await this.getStats(contractAddress, { selectors: [selector] });
+    return stats.functions[0] || null;
+  }
+}
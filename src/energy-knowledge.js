@@ -0,0 +1,150 @@
+/**
+ * Energy Knowledge for TRON MCP Server
+ * The one place energy constants come from: seed values in knowledge/energy-constants.json,
+ * overlaid with the results of the calibration job (cache/<network>/energy-calibration.json).
+ * All values are base energy, before the contract's dynamic energy penalty.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SEED_FILE = path.join(__dirname, 'knowledge', 'energy-constants.json');
+
+/**
+ * Cache directory of a network, shared with the energy estimator
+ */
+export function getNetworkCacheDir(network = 'mainnet') {
+  return network === 'mainnet'
+    ? path.join(process.cwd(), 'cache')
+    : path.join(process.cwd(), 'cache', network);
+}
+
+const functionName = (signature) => signature.split('(')[0];
+
+export class EnergyKnowledge {
+  /**
+   * @param {Object} options
+   * @param {string} options.network - Network the contract constants belong to
+   * @param {string} options.cacheDir - Where calibration results are kept (default: the network cache dir)
+   */
+  constructor({ network = 'mainnet', cacheDir = null } = {}) {
+    this.network = network;
+    this.calibrationFile = path.join(cacheDir || getNetworkCacheDir(network), 'energy-calibration.json');
+    this.reload();
+  }
+
+  /**
+   * Read the seed values and the last calibration again
+   */
+  reload() {
+    const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+    this.generic = seed.generic;
+    this.contracts = seed.contracts[this.network] || {};
+    this.calibration = null;
+
+    try {
+      this.calibration = JSON.parse(fs.readFileSync(this.calibrationFile, 'utf8'));
+    } catch (error) {
+      // Not calibrated yet
+    }
+
+    for (const [address, functions] of Object.entries(this.calibration?.contracts || {})) {
+      for (const [signature, variants] of Object.entries(functions)) {
+        const known = this.contracts[address]?.functions?.[signature];
+        if (!known) {
+          continue;
+        }
+        for (const [variant, value] of Object.entries(variants)) {
+          if (known[variant]) {
+            known[variant] = { ...known[variant], ...value };
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Contracts with known constants: { address: { name, functions: { signature: { variant: value } } } }
+   */
+  getContracts() {
+    return this.contracts;
+  }
+
+  /**
+   * Variants of a known contract function, by signature or plain name
+   * @returns {Object|null} { signature, variants } or null when the call is not known
+   */
+  getFunction(contractAddress, name) {
+    const functions = this.contracts[contractAddress]?.functions || {};
+    const signature = Object.keys(functions).find(key => key === name || functionName(key) === name);
+    return signature ? { signature, variants: functions[signature] } : null;
+  }
+
+  /**
+   * Base energy of a call
+   * Known contract functions use their first variant unless one is named; other calls
+   * fall back to the generic values by function name.
+   * @returns {Object} { base_energy, variant, source, verified_at, samples, ... }
+   */
+  getBaseEnergy(contractAddress, name, { variant = null, parameterCount = 0 } = {}) {
+    const known = this.getFunction(contractAddress, name);
+    if (known) {
+      const key = variant && known.variants[variant] ? variant : Object.keys(known.variants)[0];
+      return { signature: known.signature, variant: key, ...known.variants[key] };
+    }
+
+    const lower = name.toLowerCase();
+    const pattern = this.generic.patterns.find(entry => new RegExp(entry.match).test(lower));
+    const baseEnergy = pattern
+      ? pattern.base_energy
+      : this.generic.default.base_energy + parameterCount * this.generic.default.per_parameter;
+
+    return {
+      signature: null,
+      variant: null,
+      base_energy: baseEnergy,
+      source: 'generic',
+      verified_at: null,
+      samples: null
+    };
+  }
+
+  /**
+   * Store calibrated values; only functions and variants already known are kept
+   * @param {Object} contracts - { address: { signature: { variant: { base_energy, samples, verified_at, ... } } } }
+   * @param {Object} details - Recorded with the calibration (sampled blocks, ...)
+   */
+  saveCalibration(contracts, details = {}) {
+    const merged = { ...(this.calibration?.contracts || {}) };
+    for (const [address, functions] of Object.entries(contracts)) {
+      merged[address] = { ...(merged[address] || {}) };
+      for (const [signature, variants] of Object.entries(functions)) {
+        merged[address][signature] = { ...(merged[address][signature] || {}), ...variants };
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.calibrationFile), { recursive: true });
+    fs.writeFileSync(this.calibrationFile, JSON.stringify({
+      network: this.network,
+      updated_at: new Date().toISOString(),
+      ...details,
+      contracts: merged
+    }, null, 2));
+    this.reload();
+  }
+
+  /**
+   * Calibration summary: when the store was last calibrated and from which blocks
+   */
+  getCalibrationInfo() {
+    if (!this.calibration) {
+      return null;
+    }
+    const { contracts, ...info } = this.calibration;
+    return info;
+  }
+}
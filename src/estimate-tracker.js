@@ -0,0 +1,281 @@
+/**
+ * Estimate Tracker for TRON MCP Server
+ * Records every energy estimate and matches it with the receipt of the transaction the same
+ * caller sends afterwards, so the error of each estimation method can be measured.
+ * Kept locally in cache/<network>/energy-estimates.json.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { percentileStats } from './energy-history.js';
+import { toBase58 } from './normalizers.js';
+
+// Estimates kept, newest first
+const MAX_ESTIMATES = 5000;
+// A pending estimate not executed within this time is given up on
+const MATCH_WINDOW_MS = 60 * 60 * 1000;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Error statistics of matched estimates
+ * error_pct is (predicted - actual) / actual: positive means the estimate was too high
+ */
+export function summarizeErrors(estimates) {
+  const matched = estimates.filter(estimate => estimate.status === 'matched');
+  if (matched.length === 0) {
+    return { matched: 0 };
+  }
+
+  const errors = matched.map(estimate => estimate.error_pct);
+  const absolute = percentileStats(errors.map(Math.abs));
+  return {
+    matched: matched.length,
+    mean_error_pct: round(errors.reduce((sum, value) => sum + value, 0) / errors.length),
+    mean_absolute_error_pct: round(errors.reduce((sum, value) => sum + Math.abs(value), 0) / errors.length),
+    absolute_error_pct: {
+      p50: absolute.p50,
+      p90: absolute.p90,
+      max: absolute.max
+    },
+    within_5_pct: round(errors.filter(value => Math.abs(value) <= 5).length / errors.length * 100),
+    underestimated: matched.filter(estimate => estimate.error < 0).length
+  };
+}
+
+/**
+ * Execution of a contract call, from the transaction and its receipt (gettransactioninfobyid)
+ * @returns {Object|null} { txid, caller, contract, selector, timestamp, energy, penalty, result }, null for other transactions
+ */
+export function toExecution(transaction, info) {
+  const contract = transaction?.raw_data?.contract?.[0];
+  if (contract?.type !== 'TriggerSmartContract') {
+    return null;
+  }
+
+  const value = contract.parameter?.value || {};
+  return {
+    txid: transaction.txID,
+    caller: toBase58(value.owner_address),
+    contract: toBase58(value.contract_address),
+    selector: (value.data || '').slice(0, 8).toLowerCase(),
+    timestamp: info.blockTimeStamp || transaction.raw_data.timestamp,
+    energy: info.receipt?.energy_usage_total || 0,
+    penalty: info.receipt?.energy_penalty_total || 0,
+    result: info.receipt?.result || transaction.ret?.[0]?.contractRet || 'UNKNOWN'
+  };
+}
+
+export class EstimateTracker {
+  /**
+   * @param {Object} options
+   * @param {string} options.network - Network the estimates are made on
+   * @param {string} options.cacheDir - Network cache directory
+   */
+  constructor({ network = 'mainnet', cacheDir }) {
+    this.network = network;
+    this.file = path.join(cacheDir, 'energy-estimates.json');
+    this.estimates = null;
+    this.writing = Promise.resolve();
+    this.updateInterval = null;
+  }
+
+  async load() {
+    if (!this.estimates) {
+      try {
+        this.estimates = JSON.parse(await fs.readFile(this.file, 'utf8')).estimates;
+      } catch (error) {
+        this.estimates = [];
+      }
+    }
+    return this.estimates;
+  }
+
+  save() {
+    // Writes are chained so concurrent updates never interleave
+    this.writing = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(this.file, JSON.stringify({ network: this.network, estimates: this.estimates }));
+    }).catch(error => {
+      console.error('[TRON-MCP] Failed to save energy estimates:', error.message);
+    });
+    return this.writing;
+  }
+
+  /**
+   * Record an estimate result
+   * @param {Object} result - estimate_contract_energy result
+   * @param {Object} options
+   * @param {string} options.signature - Function signature the estimate is for
+   * @param {string} options.selector - 4-byte selector of the function, without 0x
+   * @param {boolean} options.watch - Whether to look for the caller's transaction (only when the caller was given)
+   * @returns {Promise<string|null>} Estimate id, or null when there is nothing to track
+   */
+  async record(result, { signature = null, selector = null, watch = false } = {}) {
+    if (!result?.recommended || !selector) {
+      return null;
+    }
+
+    const estimates = await this.load();
+    const id = crypto.randomBytes(8).toString('hex');
+    estimates.unshift({
+      id,
+      created_at: Date.now(),
+      contract: result.contractAddress,
+      selector,
+      signature,
+      caller: result.callerAddress || null,
+      recipient_state: result.recipient
+        ? (result.recipient.holds_token ? 'holder' : 'new_holder')
+        : null,
+      method: result.method,
+      predicted: result.recommended,
+      energy_factor: result.dynamic_energy?.energy_factor ?? null,
+      watch,
+      status: 'pending',
+      txid: null,
+      actual: null,
+      error: null,
+      error_pct: null
+    });
+    estimates.length = Math.min(estimates.length, MAX_ESTIMATES);
+    await this.save();
+    return id;
+  }
+
+  /**
+   * Pending estimates worth watching, grouped by caller; expired ones are closed first
+   * @returns {Promise<Map<string, Object>>} caller -> { since, calls } with since the creation time of its
+   *   oldest pending estimate and calls a Set of "contract:selector"
+   */
+  async getWatchedCallers(now = Date.now()) {
+    const estimates = await this.load();
+    const callers = new Map();
+    let expired = false;
+
+    for (const estimate of estimates) {
+      if (estimate.status !== 'pending') {
+        continue;
+      }
+      if (now - estimate.created_at > MATCH_WINDOW_MS) {
+        estimate.status = 'expired';
+        expired = true;
+        continue;
+      }
+      if (estimate.watch && estimate.caller) {
+        const watched = callers.get(estimate.caller) || { since: estimate.created_at, calls: new Set() };
+        watched.since = Math.min(watched.since, estimate.created_at);
+        watched.calls.add(`${estimate.contract}:${estimate.selector}`);
+        callers.set(estimate.caller, watched);
+      }
+    }
+
+    if (expired) {
+      await this.save();
+    }
+    return callers;
+  }
+
+  /**
+   * Match an executed transaction with an estimate
+   * Without an id, the latest pending (or expired) estimate of the same caller, contract and
+   * function made before the transaction is used; an estimate given by id only needs the same
+   * contract and function.
+   * @param {Object} execution - toExecution() result
+   * @param {string} estimateId - Estimate to match (optional)
+   * @returns {Promise<Object|null>} The updated estimate, or null when none matches
+   */
+  async match(execution, estimateId = null) {
+    const estimates = await this.load();
+    const previous = estimates.find(estimate => estimate.txid === execution.txid);
+    if (previous) {
+      return previous;
+    }
+
+    const sameCall = (item) => item.contract === execution.contract && item.selector === execution.selector;
+    const estimate = estimateId
+      ? estimates.find(item => item.id === estimateId && sameCall(item))
+      : estimates.find(item => (item.status === 'pending' || item.status === 'expired')
+        && item.caller === execution.caller
+        && sameCall(item)
+        && item.created_at <= execution.timestamp);
+    if (!estimate) {
+      return null;
+    }
+
+    Object.assign(estimate, {
+      txid: execution.txid,
+      executed_at: execution.timestamp,
+      actual: execution.energy,
+      actual_penalty: execution.penalty,
+      result: execution.result
+    });
+
+    // A failed call used a different amount of energy than the call that was estimated
+    if (execution.result === 'SUCCESS') {
+      estimate.status = 'matched';
+      estimate.error = estimate.predicted - execution.energy;
+      estimate.error_pct = execution.energy ? round(estimate.error / execution.energy * 100) : null;
+    } else {
+      estimate.status = 'failed';
+    }
+
+    await this.save();
+    return estimate;
+  }
+
+  /**
+   * Error distributions per method and per contract
+   * @param {Object} filter
+   * @param {string} filter.contractAddress - Only estimates for this contract
+   */
+  async getReport({ contractAddress = null } = {}) {
+    const estimates = (await this.load())
+      .filter(estimate => !contractAddress || estimate.contract === contractAddress);
+
+    const groupBy = (key) => {
+      const groups = {};
+      for (const estimate of estimates) {
+        (groups[key(estimate)] ||= []).push(estimate);
+      }
+      return Object.fromEntries(Object.entries(groups).map(([name, items]) => [name, summarizeErrors(items)]));
+    };
+
+    const counts = {};
+    for (const estimate of estimates) {
+      counts[estimate.status] = (counts[estimate.status] || 0) + 1;
+    }
+
+    return {
+      network: this.network,
+      estimates: estimates.length,
+      by_status: counts,
+      overall: summarizeErrors(estimates),
+      by_method: groupBy(estimate => estimate.method),
+      by_contract: groupBy(estimate => estimate.contract),
+      by_recipient_state: groupBy(estimate => estimate.recipient_state || 'unknown'),
+      recent: estimates.filter(estimate => estimate.status === 'matched').slice(0, 10)
+    };
+  }
+
+  /**
+   * Run match() every intervalMs
+   * @param {Function} match - Looks for the transactions of watched callers
+   */
+  start(intervalMs, match) {
+    this.updateInterval = setInterval(() => {
+      match().catch(error => {
+        console.error('[TRON-MCP] Estimate matching failed:', error.message);
+      });
+    }, intervalMs);
+    this.updateInterval.unref?.();
+  }
+
+  stop() {
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval);
+      this.updateInterval = null;
+    }
+  }
+}
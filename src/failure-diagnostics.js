@@ -0,0 +1,223 @@
+/**
+ * Failure Diagnostics for TRON MCP Server
+ * Decodes why a contract call failed - Error(string) / Panic(uint256) revert
+ * data, the node's hex resMessage and the VM result of the receipt - and
+ * explains the likely cause, for mined transactions and for
+ * triggerconstantcontract dry runs alike
+ */
+
+const ERROR_SELECTOR = '08c379a0';
+const PANIC_SELECTOR = '4e487b71';
+
+// Solidity Panic(uint256) codes
+const PANIC_CODES = {
+  0x00: 'generic compiler panic',
+  0x01: 'assert() failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'conversion to an invalid enum value',
+  0x22: 'incorrectly encoded storage byte array',
+  0x31: 'pop() on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'too much memory allocated',
+  0x51: 'call to a zero-initialized internal function',
+};
+
+// java-tron contractResult values other than SUCCESS
+const VM_RESULTS = {
+  REVERT: 'The contract reverted',
+  OUT_OF_ENERGY: 'Execution ran out of energy',
+  OUT_OF_TIME: 'Execution exceeded the CPU time limit of a block (usually an unbounded loop)',
+  TRANSFER_FAILED: 'A TRX or TRC10 transfer made by the contract failed (contract balance too low or invalid recipient)',
+  BAD_JUMP_DESTINATION: 'The contract jumped to an invalid destination',
+  OUT_OF_MEMORY: 'The contract ran out of memory',
+  PRECOMPILED_CONTRACT: 'A precompiled contract call failed',
+  STACK_TOO_SMALL: 'Stack underflow in the contract code',
+  STACK_TOO_LARGE: 'Stack overflow in the contract code',
+  ILLEGAL_OPERATION: 'The contract executed an invalid opcode',
+  STACK_OVERFLOW: 'Stack overflow in the contract code',
+  JVM_STACK_OVER_FLOW: 'Call depth too large (recursion in the VM)',
+  INVALID_CODE: 'The contract code is invalid',
+  UNKNOWN: 'The VM failed for an unknown reason',
+};
+
+const SUN_PER_TRX = 1000000;
+const toTrx = (sun) => `${sun / SUN_PER_TRX} TRX`;
+
+const word = (data, index) => data.slice(index * 64, (index + 1) * 64);
+
+/**
+ * Decode revert data (contractResult / constant_result hex)
+ * @returns {Object|null} { type: 'error', reason } for Error(string),
+ *   { type: 'panic', code, reason } for Panic(uint256), { type: 'custom', selector, data }
+ *   for custom errors, or null when there is no revert data
+ */
+export function decodeRevertData(hex) {
+  const data = (hex || '').replace(/^0x/, '').toLowerCase();
+  if (data.length < 8) {
+    return null;
+  }
+
+  const selector = data.slice(0, 8);
+  const body = data.slice(8);
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const offset = Number(BigInt(`0x${word(body, 0)}`)) * 2;
+      const length = Number(BigInt(`0x${body.slice(offset, offset + 64)}`)) * 2;
+      const reason = Buffer.from(body.slice(offset + 64, offset + 64 + length), 'hex').toString('utf8');
+      return { type: 'error', reason };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const code = Number(BigInt(`0x${word(body, 0)}`));
+      return {
+        type: 'panic',
+        code: `0x${code.toString(16).padStart(2, '0')}`,
+        reason: PANIC_CODES[code] || 'unknown panic code'
+      };
+    }
+  } catch (error) {
+    // Malformed payload: report it as opaque data below
+  }
+
+  return { type: 'custom', selector: `0x${selector}`, data: `0x${data}` };
+}
+
+/**
+ * Node messages (resMessage, result.message) are hex encoded UTF-8; plain text is returned as is
+ */
+export function decodeMessage(message) {
+  if (!message) {
+    return null;
+  }
+  if (/^([0-9a-fA-F]{2})+$/.test(message)) {
+    return Buffer.from(message, 'hex').toString('utf8');
+  }
+  return message;
+}
+
+/**
+ * Explain a failed execution
+ * @param {Object} failure
+ * @param {string} failure.result - VM result (REVERT, OUT_OF_ENERGY, ...), or FAILED for system contracts
+ * @param {string} failure.contractResult - Revert data hex (undefined when the source does not report it)
+ * @param {string} failure.message - Node message, hex or text
+ * @param {number} failure.feeLimit - Fee limit of the transaction in SUN
+ * @param {number} failure.energyUsed - Total energy used
+ * @param {number} failure.energyFee - SUN burned for energy
+ * @returns {Object|null} { result, cause, explanation, revert, message, ... } or null when nothing failed
+ */
+export function diagnoseFailure({ result, contractResult, message, feeLimit, energyUsed, energyFee }) {
+  if (!result || result === 'SUCCESS' || result === 'DEFAULT') {
+    return null;
+  }
+
+  const text = decodeMessage(message);
+  const revert = decodeRevertData(contractResult);
+  const diagnosis = {
+    result,
+    cause: 'vm_error',
+    explanation: VM_RESULTS[result] || `Execution failed (${result})${text ? `: ${text}` : ''}`,
+    revert,
+    message: text,
+    fee_limit: feeLimit ?? null,
+    energy_used: energyUsed ?? null,
+    energy_fee: energyFee ?? null,
+  };
+
+  if (result === 'REVERT') {
+    if (revert?.type === 'error') {
+      diagnosis.cause = 'revert';
+      diagnosis.explanation = `The contract reverted: ${revert.reason}`;
+    } else if (revert?.type === 'panic') {
+      diagnosis.cause = 'panic';
+      diagnosis.explanation = `The contract panicked: ${revert.reason} (${revert.code})`;
+    } else if (revert?.type === 'custom') {
+      diagnosis.cause = 'custom_error';
+      diagnosis.explanation = `The contract reverted with custom error ${revert.selector}; decode it with the contract's ABI`;
+    } else if (contractResult !== undefined) {
+      diagnosis.cause = 'revert_without_reason';
+      diagnosis.explanation = 'The contract reverted without a reason (require() without message, failed call or invalid arguments)';
+    } else {
+      diagnosis.cause = 'revert';
+    }
+  } else if (result === 'OUT_OF_ENERGY') {
+    // Energy is paid from staked energy first, then burned TRX up to the smaller of
+    // feeLimit and the account balance
+    if (feeLimit && energyFee !== undefined && energyFee >= feeLimit * 0.99) {
+      diagnosis.cause = 'fee_limit_too_low';
+      diagnosis.explanation = `Ran out of energy after burning the whole fee limit (${toTrx(feeLimit)}); raise feeLimit`;
+    } else if (feeLimit && energyFee !== undefined) {
+      diagnosis.cause = 'insufficient_balance';
+      diagnosis.explanation = `Ran out of energy after burning ${toTrx(energyFee)} of a ${toTrx(feeLimit)} fee limit: the account's TRX balance could not pay for more; add TRX or stake for energy`;
+    } else {
+      diagnosis.cause = 'out_of_energy';
+      diagnosis.explanation = 'Ran out of energy: either feeLimit was too low or the account could not pay for more energy';
+    }
+  } else if (result === 'OUT_OF_TIME') {
+    diagnosis.cause = 'execution_timeout';
+  } else if (result === 'TRANSFER_FAILED') {
+    diagnosis.cause = 'transfer_failed';
+  } else if (result === 'FAILED') {
+    // System contracts (transfers, staking, votes) fail validation with a message only
+    diagnosis.cause = /balance is not sufficient|not enough balance|insufficient/i.test(text || '')
+      ? 'insufficient_balance'
+      : 'validation_failed';
+    diagnosis.explanation = text ? `The transaction failed: ${text}` : 'The transaction failed';
+  }
+
+  return diagnosis;
+}
+
+/**
+ * Diagnose a mined transaction
+ * @param {Object} info - gettransactioninfobyid response
+ * @param {Object} transaction - gettransactionbyid response, for the fee limit and result (optional)
+ */
+export function diagnoseTransaction(info = {}, transaction = {}) {
+  const receipt = info.receipt || {};
+  const result = receipt.result
+    || transaction.ret?.[0]?.contractRet
+    || (info.result === 'FAILED' ? 'FAILED' : null);
+
+  return diagnoseFailure({
+    result,
+    contractResult: info.contractResult ? info.contractResult[0] || '' : undefined,
+    message: info.resMessage,
+    feeLimit: transaction.raw_data?.fee_limit,
+    energyUsed: receipt.energy_usage_total || 0,
+    energyFee: receipt.energy_fee || 0,
+  });
+}
+
+/**
+ * Diagnose a triggerconstantcontract / estimateenergy dry run (null when it would succeed)
+ */
+export function diagnoseDryRun(response = {}) {
+  const message = decodeMessage(response.result?.message);
+  const failed = response.result?.result !== true
+    || response.transaction?.ret?.[0]?.ret === 'FAILED'
+    || Boolean(message);
+  if (!failed) {
+    return null;
+  }
+
+  let result = response.result?.code || 'UNKNOWN';
+  if (/REVERT/i.test(message || '')) {
+    result = 'REVERT';
+  } else if (/not enough energy|out of energy/i.test(message || '')) {
+    result = 'OUT_OF_ENERGY';
+  } else if (/CPU timeout/i.test(message || '')) {
+    result = 'OUT_OF_TIME';
+  } else if (response.result?.result === true) {
+    result = 'REVERT';
+  }
+
+  return diagnoseFailure({
+    result,
+    contractResult: response.constant_result?.[0] ?? '',
+    message,
+    energyUsed: response.energy_used || 0,
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * HTTP Transport for TRON MCP Server
+ * Serves several MCP clients from one process over SSE + HTTP POST
+ */
+
+import http from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+export class HttpTransportServer {
+  /**
+   * @param {Function} createServer - Factory returning a fresh MCP Server with handlers attached
+   * @param {Object} options
+   * @param {string} options.host - Interface to bind (default: 127.0.0.1)
+   * @param {number} options.port - Port to listen on (default: 3000)
+   * @param {string} options.ssePath - Path clients open the event stream on (default: /sse)
+   * @param {string} options.messagePath - Path clients POST messages to (default: /messages)
+   */
+  constructor(createServer, options = {}) {
+    if (typeof createServer !== 'function') {
+      throw new Error('HttpTransportServer requires a server factory');
+    }
+    this.createServer = createServer;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 3000;
+    this.ssePath = options.ssePath || '/sse';
+    this.messagePath = options.messagePath || '/messages';
+    this.sessions = new Map();
+    this.httpServer = null;
+  }
+
+  /**
+   * Start listening for client connections
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        console.error('[TRON-MCP] HTTP request failed:', error.message);
+        if (!res.headersSent) {
+          res.writeHead(500).end('Internal server error');
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    console.error(`[TRON-MCP] HTTP transport listening on http://${this.host}:${this.port}${this.ssePath}`);
+  }
+
+  /**
+   * Route an incoming HTTP request
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method === 'GET' && url.pathname === this.ssePath) {
+      return await this.openSession(res);
+    }
+
+    if (req.method === 'POST' && url.pathname === this.messagePath) {
+      const sessionId = url.searchParams.get('sessionId');
+      const session = sessionId ? this.sessions.get(sessionId) : null;
+
+      if (!session) {
+        res.writeHead(404).end('Unknown or expired session');
+        return;
+      }
+
+      return await session.transport.handlePostMessage(req, res);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: 'ok',
+        sessions: this.sessions.size,
+        timestamp: new Date().toISOString()
+      }));
+      return;
+    }
+
+    res.writeHead(404).end('Not found');
+  }
+
+  /**
+   * Open a new SSE session with its own MCP Server instance
+   */
+  async openSession(res) {
+    const transport = new SSEServerTransport(this.messagePath, res);
+    const server = this.createServer();
+    const sessionId = transport.sessionId;
+
+    this.sessions.set(sessionId, { server, transport, connectedAt: new Date().toISOString() });
+
+    server.onclose = () => {
+      if (!this.sessions.delete(sessionId)) return;
+      console.error(`[TRON-MCP] Session closed: ${sessionId} (${this.sessions.size} active)`);
+    };
+
+    await server.connect(transport);
+    console.error(`[TRON-MCP] Session opened: ${sessionId} (${this.sessions.size} active)`);
+  }
+
+  /**
+   * Close every session and stop accepting connections
+   */
+  async close() {
+    const sessions = [...this.sessions.values()];
+
+    await Promise.all(sessions.map(async ({ server }) => {
+      try {
+        await server.close();
+      } catch (error) {
+        console.error('[TRON-MCP] Failed to close session:', error.message);
+      }
+    }));
+
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+}
@@ -3,26 +3,29 @@
 /**
  * Wrapper for MCP TRON Server to handle initialization delays
  * Provides proper startup for Claude CLI
+ *
+ * Tool groups are selected with TOOL_GROUPS / DISABLED_TOOL_GROUPS
+ * instead of choosing between server binaries.
  */
 
-const { spawn } = require('child_process');
-const path = require('path');
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 // Skip initial update if running in Claude CLI
 if (process.env.SKIP_INITIAL_UPDATE === undefined) {
   process.env.SKIP_INITIAL_UPDATE = 'true';
 }
 
-// Determine which server to run
-const useEnhanced = process.env.USE_ENHANCED_SERVER === 'true';
-const serverPath = useEnhanced 
-  ? path.join(__dirname, 'index-enhanced.js')
-  : path.join(__dirname, 'index.js');
+const serverPath = path.join(__dirname, 'index.js');
 
-console.error(`[WRAPPER] Starting ${useEnhanced ? 'enhanced' : 'regular'} TRON MCP Server...`);
+console.error('[WRAPPER] Starting TRON MCP Server...');
 
 // Spawn the actual server
-const server = spawn('node', [serverPath], {
+const server = spawn('node', [serverPath, ...process.argv.slice(2)], {
   stdio: 'inherit',
   env: process.env
 });
@@ -46,4 +49,4 @@ server.on('error', (err) => {
 server.on('exit', (code) => {
   console.error(`[WRAPPER] Server exited with code ${code}`);
   process.exit(code || 0);
-});
\ No newline at end of file
+});
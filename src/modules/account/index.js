@@ -4,9 +4,14 @@
  */
 
 import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { NETWORK_ARGUMENT } from '../../network-profiles.js';
+import { UnsupportedSourceError } from '../../provider-health.js';
+import { CONFIRMED_ARGUMENT, withReadOptions } from '../../source-verification.js';
+import { accountResourcesFromAccount, normalizeAccount, normalizeResources } from '../../normalizers.js';
+import { broadcastTransaction, getOwnerAddress, requireConfirmedSend } from '../../transaction-sending.js';
 
 export class AccountModule {
-  constructor(tronWeb, trongridApiCall, tronscanApiCall, executeWithFallback) {
+  constructor(tronWeb, trongridApiCall, tronscanApiCall, executeWithFallback, networks = null) {
     if (!tronWeb) {
       throw new Error('AccountModule requires tronWeb instance');
     }
@@ -14,95 +19,150 @@ export class AccountModule {
     this.trongridApiCall = trongridApiCall;
     this.tronscanApiCall = tronscanApiCall;
     this.executeWithFallback = executeWithFallback;
+    this.networks = networks;
   }
 
   /**
-   * Get TRX balance for an address
+   * TronWeb for the requested network (default network when omitted)
    */
-  async getBalance({ address }) {
-    try {
-      // Try TronWeb (local node) first
-      try {
-        const balance = await this.tronWeb.trx.getBalance(address);
-        const balanceInTrx = this.tronWeb.fromSun(balance);
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                address,
-                balance: balanceInTrx,
-                unit: 'TRX',
-                balanceInSun: balance,
-                source: 'tronweb_node'
-              }, null, 2),
+  getTronWeb(network) {
+    return network && this.networks ? this.networks.getTronWeb(network) : this.tronWeb;
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'get_balance',
+        description: 'Get TRX balance for an address',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            address: {
+              type: 'string',
+              description: 'TRON address',
             },
-          ],
-        };
-      } catch (nodeError) {
-        console.error('TronWeb failed, trying TronGrid API:', nodeError.message);
-        
-        // Fallback to TronGrid API
-        try {
-          const result = await this.trongridApiCall({ 
-            endpoint: '/wallet/getaccount', 
-            method: 'POST', 
-            data: { address: address }
-          });
-          
-          const accountData = JSON.parse(result.content[0].text).result;
-          const balance = accountData.balance || 0;
-          const balanceInTrx = balance / 1000000; // Convert SUN to TRX
-          
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify({
-                  address,
-                  balance: balanceInTrx,
-                  unit: 'TRX',
-                  balanceInSun: balance,
-                  source: 'trongrid_api'
-                }, null, 2),
-              },
-            ],
-          };
-        } catch (trongridError) {
-          console.error('TronGrid failed, trying TronScan API:', trongridError.message);
-          
-          // Last fallback to TronScan
-          try {
-            const result = await this.tronscanApiCall({ 
-              endpoint: '/api/account', 
-              params: { address: address }
-            });
-            
-            const accountData = JSON.parse(result.content[0].text).result;
-            const balance = accountData.balance || 0;
-            const balanceInTrx = balance / 1000000;
-            
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify({
-                    address,
-                    balance: balanceInTrx,
-                    unit: 'TRX',
-                    balanceInSun: balance,
-                    source: 'tronscan_api'
-                  }, null, 2),
-                },
-              ],
-            };
-          } catch (tronscanError) {
-            throw new Error(`All sources failed: ${nodeError.message}, ${trongridError.message}, ${tronscanError.message}`);
-          }
+            network: NETWORK_ARGUMENT,
+            verify: {
+              type: 'boolean',
+              description: 'Query the node, TronGrid and TronScan in parallel and report whether they agree and which block each saw (default: false)',
+            },
+            confirmed: CONFIRMED_ARGUMENT,
+          },
+          required: ['address'],
+        },
+        handler: (args) => this.getBalance(args),
+      },
+      {
+        name: 'get_account_resources',
+        description: 'Get account resources (bandwidth and energy)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            address: {
+              type: 'string',
+              description: 'TRON address',
+            },
+            network: NETWORK_ARGUMENT,
+            confirmed: CONFIRMED_ARGUMENT,
+          },
+          required: ['address'],
+        },
+        handler: (args) => this.getAccountResources(args),
+      },
+      {
+        name: 'send_trx',
+        description: 'Send TRX to an address',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            to: {
+              type: 'string',
+              description: 'Recipient TRON address',
+            },
+            amount: {
+              type: 'number',
+              description: 'Amount in TRX',
+            },
+            privateKey: {
+              type: 'string',
+              description: 'Private key of sender (optional if set in env)',
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'Must be true: acknowledges that a transaction will be broadcast',
+            },
+          },
+          required: ['to', 'amount'],
+        },
+        handler: (args) => this.sendTrx(args),
+      },
+    ];
+  }
+
+  /**
+   * Get TRX balance for an address
+   * With verify, every source is queried and the answers are compared (see executeWithVerification);
+   * with confirmed, only the solidity node endpoints are read.
+   */
+  async getBalance({ address, network, verify = false, confirmed = false }) {
+    const tronWeb = this.getTronWeb(network);
+
+    const { operation, blockField } = withReadOptions({
+      // TronWeb's getAccount reads the solidity node, getUnconfirmedAccount the full node
+      tronweb: async () => normalizeAccount(
+        confirmed ? await tronWeb.trx.getAccount(address) : await tronWeb.trx.getUnconfirmedAccount(address),
+        'tronweb',
+        address
+      ),
+      trongrid: async () => {
+        const result = await this.trongridApiCall({
+          endpoint: confirmed ? '/walletsolidity/getaccount' : '/wallet/getaccount',
+          method: 'POST',
+          data: { address, visible: true },
+          network
+        });
+        return normalizeAccount(JSON.parse(result.content[0].text).result, 'trongrid', address);
+      },
+      tronscan: async () => {
+        if (confirmed) {
+          throw new UnsupportedSourceError('TronScan does not serve solidified balances');
         }
+        const result = await this.tronscanApiCall({
+          endpoint: '/api/account',
+          params: { address },
+          network
+        });
+        return normalizeAccount(JSON.parse(result.content[0].text).result, 'tronscan', address);
       }
+    }, {
+      verify,
+      confirmed,
+      tronWeb,
+      trongridApiCall: this.trongridApiCall,
+      tronscanApiCall: this.tronscanApiCall,
+      network
+    });
+
+    try {
+      const result = await this.executeWithFallback(operation, 'getBalance', network, {
+        verify,
+        blockField,
+        normalize: (balance) => balance.balanceInSun
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
     } catch (error) {
+      if (error instanceof McpError) throw error;
       throw new McpError(
         ErrorCode.InternalError,
         `Failed to get balance: ${error.message}`
@@ -112,85 +172,70 @@ export class AccountModule {
 
   /**
    * Get account resources (bandwidth, energy)
+   * With confirmed, the stake and usage come from the solidified account (see accountResourcesFromAccount);
+   * the network totals the limits are derived from are the full node's.
    */
-  async getAccountResources({ address }) {
-    try {
-      // Try TronWeb (local node) first
-      try {
-        const resources = await this.tronWeb.trx.getAccountResources(address);
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                ...resources,
-                source: 'tronweb_node'
-              }, null, 2),
-            },
-          ],
-        };
-      } catch (nodeError) {
-        console.error('TronWeb failed, trying TronGrid API:', nodeError.message);
-        
-        // Fallback to TronGrid API
-        try {
-          const result = await this.trongridApiCall({ 
-            endpoint: '/wallet/getaccountresource', 
-            method: 'POST', 
-            data: { address: address }
-          });
-          
-          const resourceData = JSON.parse(result.content[0].text).result;
-          
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify({
-                  ...resourceData,
-                  source: 'trongrid_api'
-                }, null, 2),
-              },
-            ],
-          };
-        } catch (trongridError) {
-          console.error('TronGrid failed, trying TronScan API:', trongridError.message);
-          
-          // Fallback to TronScan
-          try {
-            const result = await this.tronscanApiCall({ 
-              endpoint: '/api/account', 
-              params: { address: address }
-            });
-            
-            const accountData = JSON.parse(result.content[0].text).result;
-            
-            // Format TronScan data to match expected structure
-            const resources = {
-              freeNetLimit: accountData.bandwidth?.freeNetLimit || 0,
-              freeNetUsed: accountData.bandwidth?.freeNetUsed || 0,
-              NetLimit: accountData.bandwidth?.netLimit || 0,
-              NetUsed: accountData.bandwidth?.netUsed || 0,
-              EnergyLimit: accountData.bandwidth?.energyLimit || 0,
-              EnergyUsed: accountData.bandwidth?.energyUsed || 0,
-              source: 'tronscan_api'
-            };
-            
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(resources, null, 2),
-                },
-              ],
-            };
-          } catch (tronscanError) {
-            throw new Error(`All sources failed: ${nodeError.message}, ${trongridError.message}, ${tronscanError.message}`);
-          }
+  async getAccountResources({ address, network, confirmed = false }) {
+    const tronWeb = this.getTronWeb(network);
+    const trongridRead = async (endpoint) => {
+      const result = await this.trongridApiCall({ endpoint, method: 'POST', data: { address, visible: true }, network });
+      return JSON.parse(result.content[0].text).result;
+    };
+
+    const { operation } = withReadOptions({
+      tronweb: async () => {
+        if (!confirmed) {
+          return normalizeResources(await tronWeb.trx.getAccountResources(address), 'tronweb', address);
+        }
+        const [account, totals] = await Promise.all([
+          tronWeb.solidityNode.request('walletsolidity/getaccount', { address, visible: true }, 'post'),
+          tronWeb.trx.getAccountResources(address)
+        ]);
+        return normalizeResources(accountResourcesFromAccount(account, totals), 'tronweb', address);
+      },
+      trongrid: async () => {
+        if (!confirmed) {
+          return normalizeResources(await trongridRead('/wallet/getaccountresource'), 'trongrid', address);
+        }
+        const [account, totals] = await Promise.all([
+          trongridRead('/walletsolidity/getaccount'),
+          trongridRead('/wallet/getaccountresource')
+        ]);
+        return normalizeResources(accountResourcesFromAccount(account, totals), 'trongrid', address);
+      },
+      tronscan: async () => {
+        if (confirmed) {
+          throw new UnsupportedSourceError('TronScan does not serve solidified resources');
         }
+        const result = await this.tronscanApiCall({
+          endpoint: '/api/account',
+          params: { address },
+          network
+        });
+        return normalizeResources(JSON.parse(result.content[0].text).result, 'tronscan', address);
       }
+    }, {
+      verify: false,
+      confirmed,
+      tronWeb,
+      trongridApiCall: this.trongridApiCall,
+      tronscanApiCall: this.tronscanApiCall,
+      network
+    });
+
+    try {
+      const result = await this.executeWithFallback(operation, 'getAccountResources', network);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
     } catch (error) {
+      if (error instanceof McpError) throw error;
       throw new McpError(
         ErrorCode.InternalError,
         `Failed to get account resources: ${error.message}`
@@ -200,68 +245,50 @@ export class AccountModule {
 
   /**
    * Send TRX to another address
+   * The transfer is built and signed once; the fallback only rebroadcasts that signed transaction.
    */
-  async sendTrx({ to, amount, privateKey }) {
-    try {
-      if (privateKey) {
-        this.tronWeb.setPrivateKey(privateKey);
-      }
-
-      // Check if we have private key set
-      if (!privateKey && !process.env.PRIVATE_KEY && !this.tronWeb.defaultPrivateKey) {
-        throw new Error('Private key required for sending transactions. Set PRIVATE_KEY in environment or provide in request.');
-      }
+  async sendTrx({ to, amount, privateKey, confirm }) {
+    requireConfirmedSend(this.tronWeb, confirm, privateKey, 'send_trx');
+    const owner = getOwnerAddress(this.tronWeb, privateKey);
 
-      // Use executeWithFallback for smart fallback behavior
-      const result = await this.executeWithFallback({
-        tronweb: async () => {
-          const transaction = await this.tronWeb.trx.sendTransaction(
-            to,
-            this.tronWeb.toSun(amount)
-          );
-          return {
-            success: transaction.result,
-            txid: transaction.txid,
-            transaction,
-          };
-        },
+    try {
+      const sun = this.tronWeb.toSun(amount);
+      const { transaction } = await this.executeWithFallback({
+        tronweb: async () => ({ transaction: await this.tronWeb.transactionBuilder.sendTrx(to, sun, owner) }),
         trongrid: async () => {
-          // For TronGrid, we need to create and sign transaction manually
-          const unsignedTx = await this.tronWeb.transactionBuilder.sendTrx(
-            to,
-            this.tronWeb.toSun(amount),
-            this.tronWeb.defaultAddress.base58
-          );
-          
-          const signedTx = await this.tronWeb.trx.sign(unsignedTx);
-          
-          const result = await this.trongridApiCall({
-            endpoint: '/wallet/broadcasttransaction',
+          const built = await this.trongridApiCall({
+            endpoint: '/wallet/createtransaction',
             method: 'POST',
-            data: signedTx
+            data: { owner_address: owner, to_address: to, amount: Number(sun), visible: true }
           });
-          
-          const broadcastResult = JSON.parse(result.content[0].text).result;
-          
-          return {
-            success: broadcastResult.result || false,
-            txid: broadcastResult.txid || signedTx.txID,
-            transaction: signedTx,
-            broadcastResult
-          };
+          const transaction = JSON.parse(built.content[0].text).result;
+          if (!transaction?.raw_data) {
+            throw new Error(transaction?.Error || 'TronGrid did not return a transaction to sign');
+          }
+          return { transaction };
         },
         tronscan: async () => {
-          // TronScan doesn't support transaction broadcasting, throw error
-          throw new Error('TronScan API does not support transaction broadcasting - read-only API');
+          throw new UnsupportedSourceError('TronScan API does not support building transactions - read-only API');
         }
       }, 'sendTrx');
 
+      // Signing with the given key leaves the shared TronWeb's default key untouched
+      const signedTx = await this.tronWeb.trx.sign(transaction, privateKey);
+      const result = await broadcastTransaction(signedTx, {
+        tronWeb: this.tronWeb,
+        trongridApiCall: this.trongridApiCall,
+        executeWithFallback: this.executeWithFallback,
+        operationName: 'sendTrx'
+      });
+
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
               ...result,
+              status: 'broadcast',
+              from: owner,
               to,
               amount,
               timestamp: new Date().toISOString()
@@ -270,6 +297,7 @@ export class AccountModule {
         ],
       };
     } catch (error) {
+      if (error instanceof McpError) throw error;
       throw new McpError(
         ErrorCode.InternalError,
         `Failed to send TRX: ${error.message}`
@@ -0,0 +1,214 @@
+/**
+ * API Module for TRON MCP Server
+ * Exposes direct TronGrid and TronScan API access
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { NETWORK_ARGUMENT } from '../../network-profiles.js';
+
+export class ApiModule {
+  constructor(trongridApiCall, tronscanApiCall, networks = null) {
+    if (!trongridApiCall || !tronscanApiCall) {
+      throw new Error('ApiModule requires trongridApiCall and tronscanApiCall');
+    }
+    this.trongridApiCall = trongridApiCall;
+    this.tronscanApiCall = tronscanApiCall;
+    this.networks = networks;
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'trongrid_api_call',
+        description: 'Direct call to TronGrid API endpoint',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            endpoint: {
+              type: 'string',
+              description: 'API endpoint (e.g., "/wallet/getnowblock", "/wallet/getaccount")',
+            },
+            method: {
+              type: 'string',
+              description: 'HTTP method (GET or POST)',
+              enum: ['GET', 'POST'],
+            },
+            data: {
+              type: 'object',
+              description: 'Request body data (for POST requests)',
+            },
+            parameters: {
+              type: 'array',
+              description: 'Contract call arguments; with data.contract_address (base58) and data.function_selector they are ABI-encoded into data.parameter',
+              items: {},
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['endpoint'],
+        },
+        handler: (args) => this.callTrongridApi(args),
+      },
+      {
+        name: 'tronscan_api_call',
+        description: 'Direct call to TronScan API endpoint',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            endpoint: {
+              type: 'string',
+              description: 'API endpoint (e.g., "/api/block", "/api/account")',
+            },
+            params: {
+              type: 'object',
+              description: 'Query parameters',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['endpoint'],
+        },
+        handler: (args) => this.tronscanApiCall(args),
+      },
+      {
+        name: 'get_trongrid_block',
+        description: 'Get block information directly from TronGrid API',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            blockNumber: {
+              type: 'number',
+              description: 'Block number (optional, returns latest if not provided)',
+            },
+            onlyNumber: {
+              type: 'boolean',
+              description: 'Return only block number (compact output)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getTrongridBlock(args),
+      },
+      {
+        name: 'get_trongrid_account',
+        description: 'Get account information directly from TronGrid API',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            address: {
+              type: 'string',
+              description: 'TRON address',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['address'],
+        },
+        handler: (args) => this.getTrongridAccount(args),
+      },
+    ];
+  }
+
+  /**
+   * Direct TronGrid call; contract call arguments are encoded against the contract ABI
+   */
+  async callTrongridApi({ parameters, ...args }) {
+    const data = args.data || {};
+
+    if (Array.isArray(parameters) && data.contract_address && data.function_selector) {
+      if (!this.networks) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'ABI encoding of parameters is not available'
+        );
+      }
+
+      const contractAbi = this.networks.getContractAbi(args.network);
+      const fn = await contractAbi.resolveFunction(data.contract_address, data.function_selector, parameters);
+      args.data = {
+        ...data,
+        function_selector: fn.signature,
+        parameter: contractAbi.encodeParameters(fn, parameters)
+      };
+    }
+
+    return await this.trongridApiCall(args);
+  }
+
+  /**
+   * Get block information directly from TronGrid API
+   */
+  async getTrongridBlock({ blockNumber, onlyNumber = false, network }) {
+    try {
+      const endpoint = blockNumber ? '/wallet/getblockbynum' : '/wallet/getnowblock';
+      const data = blockNumber ? { num: blockNumber } : {};
+      
+      const result = await this.trongridApiCall({ endpoint, method: 'POST', data, network });
+      
+      if (onlyNumber) {
+        const blockData = JSON.parse(result.content[0].text).result;
+        const number = blockData.block_header?.raw_data?.number;
+        
+        if (!number) {
+          throw new Error('Unable to extract block number from response');
+        }
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                current_block_number: number,
+                timestamp: new Date().toISOString(),
+                source: 'trongrid_api'
+              }, null, 2),
+            },
+          ],
+        };
+      }
+      
+      return result;
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `TronGrid block request failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get account information directly from TronGrid API
+   */
+  async getTrongridAccount({ address, network }) {
+    try {
+      // Use v1 API endpoint which handles base58 addresses correctly
+      const result = await this.trongridApiCall({ 
+        endpoint: `/v1/accounts/${address}`, 
+        method: 'GET', 
+        data: {},
+        network
+      });
+      
+      return result;
+    } catch (error) {
+      // Fallback to old endpoint with visible parameter
+      try {
+        const fallbackResult = await this.trongridApiCall({ 
+          endpoint: '/wallet/getaccount', 
+          method: 'POST', 
+          data: { 
+            address: address,
+            visible: true  // This tells API to accept base58 format
+          },
+          network
+        });
+        return fallbackResult;
+      } catch (fallbackError) {
+        throw new McpError(
+          ErrorCode.InternalError,
+          `TronGrid account request failed: ${error.message}`
+        );
+      }
+    }
+  }
+}
@@ -4,12 +4,15 @@
  */
 
 import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
-import fetch from 'node-fetch';
 import fs from 'fs/promises';
 import path from 'path';
+import { NETWORK_ARGUMENT } from '../../network-profiles.js';
+import { CONFIRMED_ARGUMENT, withReadOptions } from '../../source-verification.js';
+import { SourceAnswerError, UnsupportedSourceError } from '../../provider-health.js';
+import { normalizeBlock, normalizeTransaction } from '../../normalizers.js';
 
 export class BlockchainModule {
-  constructor(tronWeb, trongridApiCall, tronscanApiCall, tronScanAPI) {
+  constructor(tronWeb, trongridApiCall, tronscanApiCall, tronScanAPI, networks = null, executeWithFallback = null) {
     if (!tronWeb) {
       throw new Error('BlockchainModule requires tronWeb instance');
     }
@@ -17,92 +20,195 @@ export class BlockchainModule {
     this.trongridApiCall = trongridApiCall;
     this.tronscanApiCall = tronscanApiCall;
     this.tronScanAPI = tronScanAPI;
+    this.networks = networks;
+    this.executeWithFallback = executeWithFallback;
   }
 
   /**
-   * Get transaction details by hash
+   * TronWeb for the requested network (default network when omitted)
    */
-  async getTransaction({ txHash }) {
-    try {
-      // Try TronWeb (local node) first
-      try {
-        const transaction = await this.tronWeb.trx.getTransaction(txHash);
-        const transactionInfo = await this.tronWeb.trx.getTransactionInfo(txHash);
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                transaction,
-                info: transactionInfo,
-                source: 'tronweb_node'
-              }, null, 2),
+  getTronWeb(network) {
+    return network && this.networks ? this.networks.getTronWeb(network) : this.tronWeb;
+  }
+
+  /**
+   * TronScan client for the requested network (default network when omitted)
+   */
+  getTronScanAPI(network) {
+    return network && this.networks ? this.networks.getTronScanAPI(network) : this.tronScanAPI;
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'get_transaction',
+        description: 'Get transaction details by hash',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            txHash: {
+              type: 'string',
+              description: 'Transaction hash',
             },
-          ],
-        };
-      } catch (nodeError) {
-        console.error('TronWeb failed, trying TronGrid API:', nodeError.message);
-        
-        // Fallback to TronGrid API
-        try {
-          const transactionResult = await this.trongridApiCall({ 
-            endpoint: '/wallet/gettransactionbyid', 
-            method: 'POST', 
-            data: { value: txHash }
-          });
-          
-          const infoResult = await this.trongridApiCall({ 
-            endpoint: '/wallet/gettransactioninfobyid', 
-            method: 'POST', 
-            data: { value: txHash }
-          });
-          
-          const transaction = JSON.parse(transactionResult.content[0].text).result;
-          const info = JSON.parse(infoResult.content[0].text).result;
-          
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify({
-                  transaction,
-                  info,
-                  source: 'trongrid_api'
-                }, null, 2),
-              },
-            ],
-          };
-        } catch (trongridError) {
-          console.error('TronGrid failed, trying TronScan API:', trongridError.message);
-          
-          // Fallback to TronScan
-          try {
-            const result = await this.tronscanApiCall({ 
-              endpoint: '/api/transaction-info', 
-              params: { hash: txHash }
-            });
-            
-            const txData = JSON.parse(result.content[0].text).result;
-            
-            return {
-              content: [
-                {
-                type: 'text',
-                text: JSON.stringify({
-                  transaction: txData,
-                  info: txData, // TronScan combines both
-                  source: 'tronscan_api'
-                }, null, 2),
-                },
-              ],
-            };
-          } catch (tronscanError) {
-            throw new Error(`All sources failed: ${nodeError.message}, ${trongridError.message}, ${tronscanError.message}`);
-          }
+            network: NETWORK_ARGUMENT,
+            verify: {
+              type: 'boolean',
+              description: 'Query the node, TronGrid and TronScan in parallel and report whether they agree on the block and result, and which block each saw (default: false)',
+            },
+            confirmed: CONFIRMED_ARGUMENT,
+            decodeEvents: {
+              type: 'boolean',
+              description: 'Decode the event logs against the emitting contracts\' ABIs (TRC20 Transfer / Approval even without one) into `events`; false returns the raw `logs` (default: true)',
+            },
+          },
+          required: ['txHash'],
+        },
+        handler: (args) => this.getTransaction(args),
+      },
+      {
+        name: 'get_block',
+        description: 'Get block information with smart size management to prevent token overflow',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            blockNumber: {
+              type: 'number',
+              description: 'Block number (optional, returns latest if not provided)',
+            },
+            summary: {
+              type: 'boolean',
+              description: 'Return summary only without full transaction data (default: true)',
+            },
+            includeTransactions: {
+              type: 'boolean',
+              description: 'Include transactions in response (default: false)',
+            },
+            transactionLimit: {
+              type: 'number',
+              description: 'Maximum number of transactions to include (default: 10)',
+            },
+            saveToFile: {
+              type: 'boolean',
+              description: 'Save full block data to file and return file path (default: false)',
+            },
+            fullResponse: {
+              type: 'boolean',
+              description: 'Return full block data without limits - WARNING: may exceed token limit (default: false)',
+            },
+            network: NETWORK_ARGUMENT,
+            confirmed: {
+              ...CONFIRMED_ARGUMENT,
+              description: 'Read from the solidity node (/walletsolidity); without blockNumber this returns the latest solidified block (default: false)',
+            },
+          },
+        },
+        handler: (args) => this.getBlock(args),
+      },
+      {
+        name: 'get_current_block_number',
+        description: 'Get current block number only (compact output)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getCurrentBlockNumber(args),
+      },
+    ];
+  }
+
+  /**
+   * Get transaction details by hash
+   * With verify, every source is queried and their view of the confirmation is compared;
+   * with confirmed, only a transaction in a solidified block is returned.
+   */
+  async getTransaction({ txHash, network, verify = false, confirmed = false, decodeEvents = true }) {
+    const tronWeb = this.getTronWeb(network);
+    const wallet = confirmed ? '/walletsolidity' : '/wallet';
+
+    const { operation, blockField } = withReadOptions({
+      tronweb: async () => {
+        // TronWeb's getTransactionInfo reads the solidity node, the Unconfirmed variant the full node
+        const transaction = confirmed
+          ? await tronWeb.trx.getConfirmedTransaction(txHash)
+          : await tronWeb.trx.getTransaction(txHash);
+        const info = confirmed
+          ? await tronWeb.trx.getTransactionInfo(txHash)
+          : await tronWeb.trx.getUnconfirmedTransactionInfo(txHash);
+        return normalizeTransaction({ transaction, info }, 'tronweb');
+      },
+      trongrid: async () => {
+        const transactionResult = await this.trongridApiCall({
+          endpoint: `${wallet}/gettransactionbyid`,
+          method: 'POST',
+          data: { value: txHash },
+          network
+        });
+        const infoResult = await this.trongridApiCall({
+          endpoint: `${wallet}/gettransactioninfobyid`,
+          method: 'POST',
+          data: { value: txHash },
+          network
+        });
+
+        const transaction = JSON.parse(transactionResult.content[0].text).result;
+        if (!transaction || !transaction.txID) {
+          throw new SourceAnswerError('Transaction not found');
         }
+        return normalizeTransaction({ transaction, info: JSON.parse(infoResult.content[0].text).result }, 'trongrid');
+      },
+      tronscan: async () => {
+        if (confirmed) {
+          throw new UnsupportedSourceError('TronScan does not serve solidified transactions');
+        }
+        const result = await this.tronscanApiCall({
+          endpoint: '/api/transaction-info',
+          params: { hash: txHash },
+          network
+        });
+
+        const txData = JSON.parse(result.content[0].text).result;
+        if (!txData || !txData.hash) {
+          throw new SourceAnswerError('Transaction not found');
+        }
+        return normalizeTransaction(txData, 'tronscan');
       }
+    }, {
+      verify,
+      confirmed,
+      tronWeb,
+      trongridApiCall: this.trongridApiCall,
+      tronscanApiCall: this.tronscanApiCall,
+      network
+    });
+
+    try {
+      const result = await this.executeWithFallback(operation, 'getTransaction', network, {
+        verify,
+        blockField,
+        // Block the transaction is in and its result
+        normalize: (transaction) => ({
+          block_number: transaction.block_number,
+          result: transaction.result
+        })
+      });
+
+      const response = decodeEvents ? await this.withDecodedEvents(result, network) : result;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(response, null, 2),
+          },
+        ],
+      };
     } catch (error) {
+      if (error instanceof McpError) throw error;
       throw new McpError(
         ErrorCode.InternalError,
         `Failed to get transaction: ${error.message}`
@@ -110,6 +216,17 @@ export class BlockchainModule {
     }
   }
 
+  /**
+   * Replace a transaction's raw `logs` with `events` decoded against the emitting contracts' ABIs
+   */
+  async withDecodedEvents({ logs, ...transaction }, network) {
+    const contractAbi = this.networks.getContractAbi(network);
+    return {
+      ...transaction,
+      events: await Promise.all(logs.map(log => contractAbi.decodeLog(log)))
+    };
+  }
+
   /**
    * Get block by number or get current block
    * @param {Object} params
@@ -119,6 +236,8 @@ export class BlockchainModule {
    * @param {number} params.transactionLimit - Limit number of transactions (default: 10)
    * @param {boolean} params.saveToFile - Save full block to file (default: false)
    * @param {boolean} params.fullResponse - Return full response without limits (default: false)
+   * @param {string} params.network - Network to query (default network when omitted)
+   * @param {boolean} params.confirmed - Read the solidity node (default: false)
    */
   async getBlock({ 
     blockNumber, 
@@ -126,71 +245,87 @@ export class BlockchainModule {
     includeTransactions = false, 
     transactionLimit = 10,
     saveToFile = false,
-    fullResponse = false 
+    fullResponse = false,
+    network,
+    confirmed = false
   }) {
+    const tronWeb = this.getTronWeb(network);
+    const endpoint = blockNumber ? 'getblockbynum' : 'getnowblock';
+    const data = blockNumber ? { num: blockNumber } : {};
+    // The solidity node answers {} for a block that is not solidified yet
+    const requireBlock = (raw) => {
+      if (!raw || !raw.block_header) {
+        throw new Error(confirmed ? `Block ${blockNumber ?? 'latest'} is not solidified yet` : `Block ${blockNumber ?? 'latest'} not found`);
+      }
+      return raw;
+    };
+
     try {
-      let block;
-      let source;
-      
-      // First try to get from local node
-      try {
-        block = blockNumber 
-          ? await this.tronWeb.trx.getBlock(blockNumber)
-          : await this.tronWeb.trx.getCurrentBlock();
-        source = 'tronweb_node';
-      } catch (nodeError) {
-        console.error('Local node failed, trying TronGrid API:', nodeError.message);
-        
-        // Fallback to TronGrid API
-        try {
-          const tronGridUrl = 'https://api.trongrid.io';
-          const endpoint = blockNumber ? `/wallet/getblockbynum` : `/wallet/getnowblock`;
-          const body = blockNumber ? { num: blockNumber } : {};
-          
-          const response = await fetch(`${tronGridUrl}${endpoint}`, {
+      // Each source returns its raw block alongside the canonical one
+      const { operation } = withReadOptions({
+        tronweb: async () => {
+          let raw;
+          if (confirmed) {
+            raw = requireBlock(await tronWeb.solidityNode.request(`walletsolidity/${endpoint}`, data, 'post'));
+          } else {
+            raw = blockNumber
+              ? await tronWeb.trx.getBlock(blockNumber)
+              : await tronWeb.trx.getCurrentBlock();
+          }
+          return { block: normalizeBlock(raw, 'tronweb'), raw };
+        },
+        trongrid: async () => {
+          const result = await this.trongridApiCall({
+            endpoint: `${confirmed ? '/walletsolidity' : '/wallet'}/${endpoint}`,
             method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'TRON-PRO-API-KEY': process.env.API_TRONGRID || ''
-            },
-            body: JSON.stringify(body)
+            data,
+            network
           });
-          
-          if (!response.ok) {
-            throw new Error(`TronGrid API error: ${response.status} ${response.statusText}`);
+          const raw = requireBlock(JSON.parse(result.content[0].text).result);
+          return { block: normalizeBlock(raw, 'trongrid'), raw };
+        },
+        tronscan: async () => {
+          if (confirmed) {
+            throw new UnsupportedSourceError('TronScan does not serve solidified blocks');
           }
-          
-          block = await response.json();
-          source = 'trongrid_api';
-        } catch (trongridError) {
-          // Last fallback: try TronScan API
-          block = blockNumber 
-            ? await this.tronScanAPI.getBlock(blockNumber)
-            : await this.tronScanAPI.getCurrentBlock();
-          source = 'tronscan_api';
+          const tronScanAPI = this.getTronScanAPI(network);
+          const raw = blockNumber
+            ? await tronScanAPI.getBlock(blockNumber)
+            : await tronScanAPI.getCurrentBlock();
+          return { block: normalizeBlock(raw, 'tronscan'), raw };
         }
-      }
+      }, {
+        confirmed,
+        tronWeb,
+        trongridApiCall: this.trongridApiCall,
+        tronscanApiCall: this.tronscanApiCall,
+        network
+      });
+      const { block, raw, source, solidified_block: solidifiedBlock } = await this.executeWithFallback(operation, 'getBlock', network);
       
-      // If full response requested, return as before
+      // Full response is the source's own format, unlimited
       if (fullResponse) {
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify(block, null, 2),
+              text: JSON.stringify({ ...raw, source, ...(confirmed ? { solidified_block: solidifiedBlock } : {}) }, null, 2),
             },
           ],
         };
       }
       
       // Process block for summary/limited response
-      const processedBlock = await this.processBlockData(block, {
+      const processedBlock = await this.processBlockData(block, raw, {
         summary,
         includeTransactions,
         transactionLimit,
         saveToFile,
         source
       });
+      if (confirmed) {
+        processedBlock.solidified_block = solidifiedBlock;
+      }
       
       return {
         content: [
@@ -201,6 +336,7 @@ export class BlockchainModule {
         ],
       };
     } catch (error) {
+      if (error instanceof McpError) throw error;
       throw new McpError(
         ErrorCode.InternalError,
         `Failed to get block: ${error.message}`
@@ -210,24 +346,22 @@ export class BlockchainModule {
 
   /**
    * Process block data according to options
+   * @param {Object} block - Canonical block (see normalizeBlock)
+   * @param {Object} raw - Block as the source returned it, for transactions and saved files
    */
-  async processBlockData(block, options) {
+  async processBlockData(block, raw, options) {
     const { summary, includeTransactions, transactionLimit, saveToFile, source } = options;
     
     // Calculate sizes
-    const fullBlockJson = JSON.stringify(block);
+    const fullBlockJson = JSON.stringify(raw);
     const fullSizeBytes = Buffer.byteLength(fullBlockJson);
     const estimatedTokens = Math.ceil(fullSizeBytes / 4); // Rough estimate: 1 token ≈ 4 bytes
-    const transactionCount = block.transactions ? block.transactions.length : 0;
+    const transactionCount = block.transaction_count;
+    const { transaction_ids: transactionIds, ...header } = block;
     
     // Create summary response
     let result = {
-      block_header: block.block_header,
-      blockID: block.blockID,
-      block_number: block.block_header?.raw_data?.number,
-      timestamp: block.block_header?.raw_data?.timestamp,
-      witness_address: block.block_header?.raw_data?.witness_address,
-      transaction_count: transactionCount,
+      ...header,
       size_info: {
         full_size_bytes: fullSizeBytes,
         estimated_tokens: estimatedTokens,
@@ -236,19 +370,33 @@ export class BlockchainModule {
       source
     };
     
-    // Include limited transactions if requested
-    if (includeTransactions && block.transactions && block.transactions.length > 0) {
-      result.transactions = block.transactions.slice(0, transactionLimit);
+    // Include limited transactions if requested (sources that list them: node and TronGrid)
+    if (includeTransactions && raw.transactions && raw.transactions.length > 0) {
+      const provider = source === 'tronweb_node' ? 'tronweb' : 'trongrid';
+      result.transactions = raw.transactions
+        .slice(0, transactionLimit)
+        .map(transaction => ({
+          ...normalizeTransaction({ transaction }, provider),
+          // Costs come with the transaction info, which blocks do not include
+          block_number: block.block_number,
+          block_timestamp: block.timestamp
+        }));
       result.transactions_info = {
         included: Math.min(transactionLimit, transactionCount),
         total: transactionCount,
         limited: transactionCount > transactionLimit
       };
+    } else if (includeTransactions && !transactionIds) {
+      result.transactions_info = {
+        included: 0,
+        total: transactionCount,
+        note: 'This source does not list block transactions'
+      };
     }
     
     // Save to file if requested
     if (saveToFile) {
-      const filePath = await this.saveBlockToFile(block, block.block_header?.raw_data?.number);
+      const filePath = await this.saveBlockToFile(raw, block.block_number);
       result.full_data_file = filePath;
       result.file_info = {
         path: filePath,
@@ -298,11 +446,13 @@ export class BlockchainModule {
   /**
    * Get current block number
    */
-  async getCurrentBlockNumber() {
+  async getCurrentBlockNumber({ network } = {}) {
+    const tronWeb = this.getTronWeb(network);
+
     try {
       // Try TronWeb first
       try {
-        const block = await this.tronWeb.trx.getCurrentBlock();
+        const block = await tronWeb.trx.getCurrentBlock();
         const blockNumber = block.block_header.raw_data.number;
         
         return {
@@ -321,27 +471,14 @@ export class BlockchainModule {
         console.error('TronWeb failed, trying TronGrid API:', nodeError.message);
         
         // Fallback to TronGrid API
-        const tronGridUrl = process.env.FULL_NODE_URL || 'https://api.trongrid.io';
-        const headers = {
-          'Content-Type': 'application/json',
-        };
-        
-        // Add API key if available
-        if (process.env.TRONGRID_API_KEY) {
-          headers['TRON-PRO-API-KEY'] = process.env.TRONGRID_API_KEY;
-        }
-        
-        const response = await fetch(`${tronGridUrl}/wallet/getnowblock`, {
+        const result = await this.trongridApiCall({
+          endpoint: '/wallet/getnowblock',
           method: 'POST',
-          headers,
-          body: JSON.stringify({})
+          data: {},
+          network
         });
         
-        if (!response.ok) {
-          throw new Error(`TronGrid API error: ${response.status} ${response.statusText}`);
-        }
-        
-        const block = await response.json();
+        const block = JSON.parse(result.content[0].text).result;
         const blockNumber = block.block_header?.raw_data?.number;
         
         if (!blockNumber) {
@@ -364,7 +501,7 @@ export class BlockchainModule {
     } catch (error) {
       // Last fallback: try TronScan API
       try {
-        const block = await this.tronScanAPI.getCurrentBlock();
+        const block = await this.getTronScanAPI(network).getCurrentBlock();
         const blockNumber = block.number || block.block_header?.raw_data?.number;
         
         if (!blockNumber) {
@@ -0,0 +1,1124 @@
+/**
+ * Contract Module for TRON MCP Server
+ * Handles smart contract calls and parameter encoding
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { NETWORK_ARGUMENT } from '../../network-profiles.js';
+import { SourceAnswerError, UnsupportedSourceError } from '../../provider-health.js';
+import { diagnoseDryRun, diagnoseFailure, diagnoseTransaction } from '../../failure-diagnostics.js';
+import { toBase58 } from '../../normalizers.js';
+import { accountResources, buildCallTree, explainResources, renderCallTree } from '../../call-trace.js';
+import { broadcastTransaction, getOwnerAddress, pollTransactionInfo, requireConfirmedSend } from '../../transaction-sending.js';
+
+// Largest page TronGrid's event API returns
+const MAX_EVENTS_PAGE = 200;
+
+// Contracts in a trace whose names are looked up with wallet/getcontract
+const MAX_TRACE_NAME_LOOKUPS = 20;
+
+export class ContractModule {
+  /**
+   * @param {EnergyKnowledge} energyKnowledge - Energy constants of the default network, the floor of
+   *   send_trc20's fee limit when a dry run reports no energy (optional)
+   */
+  constructor(tronWeb, trongridApiCall, executeWithFallback, networks, energyKnowledge = null) {
+    if (!tronWeb) {
+      throw new Error('ContractModule requires tronWeb instance');
+    }
+    if (!networks) {
+      throw new Error('ContractModule requires network profiles');
+    }
+    this.tronWeb = tronWeb;
+    this.trongridApiCall = trongridApiCall;
+    this.executeWithFallback = executeWithFallback;
+    this.networks = networks;
+    this.energyKnowledge = energyKnowledge;
+    this.contractAbi = networks.getContractAbi();
+    this.tokenDecimals = new Map();
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'contract_call',
+        description: 'Call a read-only smart contract function (never signs; use contract_send for state-changing functions)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Smart contract address',
+            },
+            functionName: {
+              type: 'string',
+              description: 'Function name, or full signature such as "balanceOf(address)" for overloads and contracts without a published ABI',
+            },
+            parameters: {
+              type: 'array',
+              description: 'Function parameters in ABI order (tuples as arrays or objects, large integers as strings)',
+              items: {},
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['contractAddress', 'functionName'],
+        },
+        handler: (args) => this.contractCall(args),
+      },
+      {
+        name: 'contract_send',
+        description: 'Sign and broadcast a state-changing contract call, then wait for it to be confirmed',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Smart contract address',
+            },
+            functionName: {
+              type: 'string',
+              description: 'Function name, or full signature such as "transfer(address,uint256)"',
+            },
+            parameters: {
+              type: 'array',
+              description: 'Function parameters in ABI order (tuples as arrays or objects, large integers as strings)',
+              items: {},
+            },
+            feeLimit: {
+              type: 'number',
+              description: 'Maximum TRX burned for energy, in SUN',
+            },
+            callValue: {
+              type: 'number',
+              description: 'TRX sent with the call, in SUN (payable functions only, default: 0)',
+            },
+            privateKey: {
+              type: 'string',
+              description: 'Private key of sender (optional if set in env)',
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'Must be true: acknowledges that a transaction will be broadcast',
+            },
+            waitTimeout: {
+              type: 'number',
+              description: 'Seconds to wait for confirmation (default: 60, 0 = do not wait)',
+            },
+          },
+          required: ['contractAddress', 'functionName', 'feeLimit', 'confirm'],
+        },
+        handler: (args) => this.contractSend(args),
+      },
+      {
+        name: 'send_trc20',
+        description: 'Send a TRC20 token by symbol or contract; the amount is scaled by decimals() and feeLimit is sized from the energy estimate',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            token: {
+              type: 'string',
+              description: 'Token symbol known for the default network (e.g. USDT) or token contract address',
+            },
+            to: {
+              type: 'string',
+              description: 'Recipient TRON address',
+            },
+            amount: {
+              type: 'string',
+              description: 'Human-readable amount, e.g. "12.5" (scaled by the token decimals)',
+            },
+            feeLimit: {
+              type: 'number',
+              description: 'Maximum TRX burned for energy, in SUN (default: estimated energy x getEnergyFee x feeLimitMultiplier)',
+            },
+            feeLimitMultiplier: {
+              type: 'number',
+              description: 'Headroom applied to the estimated fee (default: 1.2)',
+            },
+            privateKey: {
+              type: 'string',
+              description: 'Private key of sender (optional if set in env)',
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'Must be true: acknowledges that a transaction will be broadcast',
+            },
+            waitTimeout: {
+              type: 'number',
+              description: 'Seconds to wait for confirmation (default: 60, 0 = do not wait)',
+            },
+          },
+          required: ['token', 'to', 'amount', 'confirm'],
+        },
+        handler: (args) => this.sendTrc20(args),
+      },
+      {
+        name: 'contract_constant_call',
+        description: 'Call a view/pure contract function without signing and decode the result against the ABI',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Smart contract address',
+            },
+            functionName: {
+              type: 'string',
+              description: 'Function name, or full signature such as "balanceOf(address)"',
+            },
+            parameters: {
+              type: 'array',
+              description: 'Function parameters in ABI order (tuples as arrays or objects, large integers as strings)',
+              items: {},
+            },
+            callerAddress: {
+              type: 'string',
+              description: 'Address the call is made from (optional)',
+            },
+            scaleByDecimals: {
+              type: 'boolean',
+              description: 'Also return integer outputs divided by the token decimals() (default: false)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['contractAddress', 'functionName'],
+        },
+        handler: (args) => this.contractConstantCall(args),
+      },
+      {
+        name: 'diagnose_failure',
+        description: 'Explain why a contract call failed: decodes Error(string) / Panic(uint256) revert data and the node message, and tells a too low feeLimit from an insufficient balance or a revert. Takes a past transaction id, or a call to dry-run with triggerconstantcontract',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            txid: {
+              type: 'string',
+              description: 'Id of a past transaction to diagnose',
+            },
+            contractAddress: {
+              type: 'string',
+              description: 'Contract to dry-run instead of a past transaction',
+            },
+            functionName: {
+              type: 'string',
+              description: 'Function name or full signature for the dry run',
+            },
+            parameters: {
+              type: 'array',
+              description: 'Function parameters in ABI order for the dry run',
+              items: {},
+            },
+            callerAddress: {
+              type: 'string',
+              description: 'Address the dry run is made from (optional)',
+            },
+            callValue: {
+              type: 'number',
+              description: 'SUN sent with the dry run (default: 0)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.diagnoseCallFailure(args),
+      },
+      {
+        name: 'get_contract_events',
+        description: 'List the decoded events a contract emitted over a block or time range (TronGrid event API), with filters and cursor pagination',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Contract address',
+            },
+            eventName: {
+              type: 'string',
+              description: 'Only events with this name, e.g. "Transfer"',
+            },
+            fromBlock: {
+              type: 'number',
+              description: 'First block of the range',
+            },
+            toBlock: {
+              type: 'number',
+              description: 'Last block of the range',
+            },
+            fromTimestamp: {
+              type: 'number',
+              description: 'Start of the time range, ms since epoch (instead of fromBlock)',
+            },
+            toTimestamp: {
+              type: 'number',
+              description: 'End of the time range, ms since epoch (instead of toBlock)',
+            },
+            onlyConfirmed: {
+              type: 'boolean',
+              description: 'Only events in solidified blocks (default: false)',
+            },
+            order: {
+              type: 'string',
+              enum: ['desc', 'asc'],
+              description: 'Order by block time (default: desc, newest first)',
+            },
+            limit: {
+              type: 'number',
+              description: `Events per page, up to ${MAX_EVENTS_PAGE} (default: 20)`,
+            },
+            fingerprint: {
+              type: 'string',
+              description: 'Cursor from a previous page\'s next_fingerprint',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['contractAddress'],
+        },
+        handler: (args) => this.getContractEvents(args),
+      },
+      {
+        name: 'get_transaction_trace',
+        description: 'Call tree of a smart contract transaction from its internal transactions (caller, callee, value, note, rejected), with known tokens and routers labelled, token transfers, and where the TRX and energy went',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            txid: {
+              type: 'string',
+              description: 'Transaction id',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['txid'],
+        },
+        handler: (args) => this.getTransactionTrace(args),
+      },
+    ];
+  }
+
+  /**
+   * Call a read-only smart contract function
+   * State-changing functions are rejected so a read can never broadcast a transaction.
+   */
+  async contractCall({ contractAddress, functionName, parameters = [], network }) {
+    const fn = await this.networks.getContractAbi(network).resolveFunction(contractAddress, functionName, parameters);
+
+    if (this.isStateChanging(fn)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `${fn.signature} is ${fn.stateMutability} and changes state; use contract_send to sign and broadcast it`
+      );
+    }
+
+    return await this.contractConstantCall({ contractAddress, functionName: fn.signature, parameters, network });
+  }
+
+  /**
+   * Functions the ABI marks as payable / nonpayable (signature-only functions are treated as reads)
+   */
+  isStateChanging(fn) {
+    if (fn.constant === true) {
+      return false;
+    }
+    return fn.stateMutability === 'nonpayable' || fn.stateMutability === 'payable';
+  }
+
+  /**
+   * Call a view/pure function via triggerconstantcontract and decode its outputs
+   * Never signs or broadcasts anything.
+   */
+  async contractConstantCall({ contractAddress, functionName, parameters = [], callerAddress, scaleByDecimals = false, network }) {
+    const contractAbi = this.networks.getContractAbi(network);
+    const fn = await contractAbi.resolveFunction(contractAddress, functionName, parameters);
+
+    try {
+      const result = await this.constantCall(fn, contractAddress, parameters, { callerAddress, network });
+      const response = {
+        contractAddress,
+        functionSignature: fn.signature,
+        parameters,
+        outputs: result.outputs,
+        energy_used: result.energy_used,
+        network: this.networks.getProfile(network).name,
+        source: result.source
+      };
+
+      if (scaleByDecimals) {
+        const decimals = await this.getTokenDecimals(contractAddress, network);
+        response.decimals = decimals;
+        response.scaled = this.scaleOutputs(fn, result.outputs, decimals, contractAbi);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(response, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to call constant function: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Run triggerconstantcontract (node first, TronGrid fallback) and decode the result
+   * A call that would fail throws with its diagnosis in `error.failure`.
+   */
+  async constantCall(fn, contractAddress, parameters, { callerAddress, network } = {}) {
+    const contractAbi = this.networks.getContractAbi(network);
+    const result = await this.triggerConstant(fn, contractAddress, parameters, { callerAddress, network });
+
+    const failure = diagnoseDryRun(result);
+    const hex = result.constant_result?.[0];
+    if (failure || hex === undefined) {
+      const error = new Error(`Constant call reverted: ${failure ? failure.explanation : 'no constant_result returned'}`);
+      error.failure = failure;
+      throw error;
+    }
+
+    return {
+      outputs: contractAbi.decodeOutputs(fn, hex),
+      constant_result: hex,
+      energy_used: result.energy_used || 0,
+      source: result.source
+    };
+  }
+
+  /**
+   * Raw triggerconstantcontract response of a call
+   * The node is called directly: TronWeb's triggerConstantContract drops the revert data of failed calls.
+   */
+  async triggerConstant(fn, contractAddress, parameters, { callerAddress, callValue = 0, network } = {}) {
+    const contractAbi = this.networks.getContractAbi(network);
+    const tronWeb = this.networks.getTronWeb(network);
+    const data = {
+      owner_address: callerAddress || tronWeb.defaultAddress.base58,
+      contract_address: contractAddress,
+      function_selector: fn.signature,
+      parameter: contractAbi.encodeParameters(fn, parameters),
+      ...(callValue ? { call_value: callValue } : {}),
+      visible: true
+    };
+
+    return await this.executeWithFallback({
+      tronweb: async () => {
+        return await tronWeb.fullNode.request('wallet/triggerconstantcontract', data, 'post');
+      },
+      trongrid: async () => {
+        const response = await this.trongridApiCall({
+          endpoint: '/wallet/triggerconstantcontract',
+          method: 'POST',
+          data,
+          network
+        });
+        return JSON.parse(response.content[0].text).result;
+      },
+      tronscan: async () => {
+        throw new UnsupportedSourceError('TronScan API does not support contract calls - read-only API');
+      }
+    }, 'constantCall', network);
+  }
+
+  /**
+   * Diagnose a past transaction (txid) or dry-run a call and diagnose its failure
+   */
+  async diagnoseCallFailure({ txid, contractAddress, functionName, parameters = [], callerAddress, callValue = 0, network }) {
+    if (!txid === !contractAddress) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'Provide either txid (past transaction) or contractAddress and functionName (dry run)'
+      );
+    }
+    if (contractAddress && !functionName) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'functionName is required for a dry run'
+      );
+    }
+
+    try {
+      let response;
+      if (txid) {
+        const { transaction, info, source } = await this.getTransactionWithInfo(txid, network);
+        const failure = diagnoseTransaction(info, transaction);
+        response = {
+          txid,
+          status: !info.id ? 'pending' : failure ? 'failed' : 'succeeded',
+          block_number: info.blockNumber ?? null,
+          contract_type: transaction.raw_data?.contract?.[0]?.type || null,
+          failure,
+          source
+        };
+      } else {
+        const fn = await this.networks.getContractAbi(network).resolveFunction(contractAddress, functionName, parameters);
+        const result = await this.triggerConstant(fn, contractAddress, parameters, { callerAddress, callValue, network });
+        const failure = diagnoseDryRun(result);
+        response = {
+          contractAddress,
+          functionSignature: fn.signature,
+          parameters,
+          status: failure ? 'would_fail' : 'would_succeed',
+          energy_used: result.energy_used || 0,
+          failure,
+          source: result.source
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ ...response, network: this.networks.getProfile(network).name }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to diagnose failure: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Call tree, token transfers and resource accounting of a transaction
+   */
+  async getTransactionTrace({ txid, network }) {
+    if (typeof txid !== 'string' || !/^[0-9a-fA-F]{64}$/.test(txid)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `txid must be 64 hex characters, got ${txid}`
+      );
+    }
+
+    try {
+      const { transaction, info, source } = await this.getTransactionWithInfo(txid, network);
+      const root = buildCallTree(transaction, info);
+      const labels = await this.getContractLabels(root, network);
+      const label = (address) => labels[address]?.label || address;
+      const resources = accountResources(root, info);
+      const failure = diagnoseTransaction(info, transaction);
+
+      const contractAbi = this.networks.getContractAbi(network);
+      const events = await Promise.all((info.log || []).map(log => contractAbi.decodeLog(log)));
+      const tokenTransfers = events
+        .filter(event => event.event === 'Transfer' && event.args?.value !== undefined)
+        .map(event => {
+          const token = labels[event.address] || this.networks.getProfile(network).knownContracts[event.address];
+          return {
+            token: token?.symbol || token?.label || event.address,
+            contract: event.address,
+            from: event.args.from,
+            to: event.args.to,
+            value: event.args.value,
+            ...(token?.decimals !== undefined ? { amount: contractAbi.formatUnits(event.args.value, token.decimals) } : {})
+          };
+        });
+
+      const explanation = explainResources(resources);
+      if (failure) {
+        explanation.unshift(failure.explanation);
+      }
+      const contractType = transaction.raw_data?.contract?.[0]?.type || null;
+      if (contractType === 'TriggerSmartContract' && !info.internal_transactions) {
+        explanation.push('No internal transactions were reported: the contract made no calls, or the node does not record them (saveInternalTx)');
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              txid,
+              block_number: info.blockNumber ?? null,
+              result: info.receipt?.result || transaction.ret?.[0]?.contractRet || null,
+              contract_type: contractType,
+              failure,
+              tree: renderCallTree(root, label),
+              calls: root,
+              token_transfers: tokenTransfers,
+              ...resources,
+              explanation,
+              labels: Object.fromEntries(Object.entries(labels).map(([address, entry]) => [address, entry.label])),
+              network: this.networks.getProfile(network).name,
+              source
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to trace transaction: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Display names of the contracts called in a trace: known tokens and routers from
+   * the network profile, otherwise the contract name from wallet/getcontract
+   */
+  async getContractLabels(root, network) {
+    const known = this.networks.getProfile(network).knownContracts;
+    const tronWeb = this.networks.getTronWeb(network);
+    const callees = new Set();
+    const collect = (node) => {
+      callees.add(node.callee);
+      node.calls.forEach(collect);
+    };
+    collect(root);
+
+    const labels = {};
+    const lookups = [];
+    for (const address of callees) {
+      if (!address) continue;
+      if (known[address]) {
+        const entry = known[address];
+        labels[address] = { ...entry, label: entry.symbol ? `${entry.symbol} (${entry.type})` : entry.name };
+      } else if (lookups.length < MAX_TRACE_NAME_LOOKUPS) {
+        lookups.push(address);
+      }
+    }
+
+    await Promise.all(lookups.map(async (address) => {
+      try {
+        const contract = await tronWeb.fullNode.request('wallet/getcontract', { value: address, visible: true }, 'post');
+        if (contract?.name) {
+          labels[address] = { name: contract.name, label: contract.name };
+        }
+      } catch (error) {
+        // Unlabelled addresses are shown as is
+      }
+    }));
+
+    return labels;
+  }
+
+  /**
+   * Transaction and its info (receipt, contractResult, resMessage) from the node, falling back to TronGrid
+   */
+  async getTransactionWithInfo(txid, network) {
+    const tronWeb = this.networks.getTronWeb(network);
+    const request = async (path) => await tronWeb.fullNode.request(path, { value: txid }, 'post');
+    const found = (transaction, info) => {
+      if (!transaction || !transaction.txID) {
+        throw new SourceAnswerError('Transaction not found');
+      }
+      return { transaction, info: info || {} };
+    };
+
+    return await this.executeWithFallback({
+      tronweb: async () => {
+        const [transaction, info] = await Promise.all([
+          request('wallet/gettransactionbyid'),
+          request('wallet/gettransactioninfobyid')
+        ]);
+        return found(transaction, info);
+      },
+      trongrid: async () => {
+        const [transaction, info] = await Promise.all(['/wallet/gettransactionbyid', '/wallet/gettransactioninfobyid'].map(async (endpoint) => {
+          const result = await this.trongridApiCall({ endpoint, method: 'POST', data: { value: txid }, network });
+          return JSON.parse(result.content[0].text).result;
+        }));
+        return found(transaction, info);
+      },
+      tronscan: async () => {
+        throw new UnsupportedSourceError('TronScan API does not return revert data');
+      }
+    }, 'diagnoseFailure', network);
+  }
+
+  /**
+   * Events of a contract from TronGrid's /v1/contracts/{address}/events
+   * A block range is turned into the time range of its blocks, as the API filters by time.
+   */
+  async getContractEvents({
+    contractAddress,
+    eventName,
+    fromBlock,
+    toBlock,
+    fromTimestamp,
+    toTimestamp,
+    onlyConfirmed = false,
+    order = 'desc',
+    limit = 20,
+    fingerprint,
+    network
+  }) {
+    const tronWeb = this.networks.getTronWeb(network);
+    if (!tronWeb.isAddress(contractAddress)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid contract address: ${contractAddress}`
+      );
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EVENTS_PAGE) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `limit must be an integer between 1 and ${MAX_EVENTS_PAGE}`
+      );
+    }
+    if (!['desc', 'asc'].includes(order)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'order must be desc or asc'
+      );
+    }
+    if (fromBlock !== undefined && toBlock !== undefined && fromBlock > toBlock) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `fromBlock ${fromBlock} is after toBlock ${toBlock}`
+      );
+    }
+
+    try {
+      const query = {
+        order_by: `block_timestamp,${order}`,
+        limit,
+        ...(eventName ? { event_name: eventName } : {}),
+        ...(onlyConfirmed ? { only_confirmed: true } : {}),
+        ...(fingerprint ? { fingerprint } : {})
+      };
+
+      if (fromBlock !== undefined && fromBlock === toBlock) {
+        query.block_number = fromBlock;
+      } else {
+        const minTimestamp = fromBlock !== undefined ? await this.getBlockTimestamp(fromBlock, network) : fromTimestamp;
+        const maxTimestamp = toBlock !== undefined ? await this.getBlockTimestamp(toBlock, network) : toTimestamp;
+        if (minTimestamp !== undefined) query.min_block_timestamp = minTimestamp;
+        if (maxTimestamp !== undefined) query.max_block_timestamp = maxTimestamp;
+      }
+
+      const response = await this.trongridApiCall({
+        endpoint: `/v1/contracts/${contractAddress}/events?${new URLSearchParams(query)}`,
+        method: 'GET',
+        network
+      });
+      const { data = [], meta = {} } = JSON.parse(response.content[0].text).result;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              contractAddress,
+              filters: query,
+              count: data.length,
+              events: data.map(event => this.normalizeEvent(event)),
+              next_fingerprint: meta.fingerprint || null,
+              network: this.networks.getProfile(network).name,
+              source: 'trongrid_api'
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get contract events: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * TronGrid event with named arguments only and addresses in base58
+   */
+  normalizeEvent(event) {
+    const types = event.result_type || {};
+    const args = Object.fromEntries(Object.entries(event.result || {})
+      .filter(([name]) => !/^\d+$/.test(name))
+      .map(([name, value]) => {
+        if (types[name] === 'address') {
+          return [name, toBase58(value)];
+        }
+        if (types[name] === 'address[]' && Array.isArray(value)) {
+          return [name, value.map(item => toBase58(item))];
+        }
+        return [name, value];
+      }));
+
+    return {
+      transaction_id: event.transaction_id,
+      block_number: event.block_number,
+      block_timestamp: event.block_timestamp,
+      event_index: event.event_index,
+      event: event.event_name,
+      signature: event.event || null,
+      contract_address: toBase58(event.contract_address),
+      args
+    };
+  }
+
+  /**
+   * Timestamp of a block (node first, TronGrid fallback)
+   */
+  async getBlockTimestamp(blockNumber, network) {
+    const tronWeb = this.networks.getTronWeb(network);
+    const { block } = await this.executeWithFallback({
+      tronweb: async () => ({ block: await tronWeb.fullNode.request('wallet/getblockbynum', { num: blockNumber }, 'post') }),
+      trongrid: async () => {
+        const result = await this.trongridApiCall({
+          endpoint: '/wallet/getblockbynum',
+          method: 'POST',
+          data: { num: blockNumber },
+          network
+        });
+        return { block: JSON.parse(result.content[0].text).result };
+      },
+      tronscan: async () => {
+        throw new UnsupportedSourceError('Block timestamps are read from the node');
+      }
+    }, 'getBlockTimestamp', network);
+
+    const timestamp = block?.block_header?.raw_data?.timestamp;
+    if (!timestamp) {
+      throw new Error(`Block ${blockNumber} not found`);
+    }
+    return timestamp;
+  }
+
+  /**
+   * Token decimals() of a contract (cached per network)
+   */
+  async getTokenDecimals(contractAddress, network) {
+    const key = `${this.networks.getProfile(network).name}:${contractAddress}`;
+
+    if (!this.tokenDecimals.has(key)) {
+      const contractAbi = this.networks.getContractAbi(network);
+      const fn = await contractAbi.resolveFunction(contractAddress, 'decimals', []);
+      const { outputs } = await this.constantCall(fn, contractAddress, [], { network });
+      this.tokenDecimals.set(key, Number(outputs));
+    }
+
+    return this.tokenDecimals.get(key);
+  }
+
+  /**
+   * Scale the top-level integer outputs by token decimals
+   */
+  scaleOutputs(fn, outputs, decimals, contractAbi) {
+    const isInteger = (param) => /^u?int\d*$/.test(param.type);
+
+    if (fn.outputs.length === 1) {
+      return isInteger(fn.outputs[0]) ? contractAbi.formatUnits(outputs, decimals) : outputs;
+    }
+
+    return Object.fromEntries(fn.outputs.map((param, index) => {
+      const key = param.name || String(index);
+      return [key, isInteger(param) ? contractAbi.formatUnits(outputs[key], decimals) : outputs[key]];
+    }));
+  }
+
+  /**
+   * Sign and broadcast a state-changing contract call, then wait for its receipt
+   */
+  async contractSend({ contractAddress, functionName, parameters = [], feeLimit, callValue = 0, privateKey, confirm, waitTimeout = 60 }) {
+    requireConfirmedSend(this.tronWeb, confirm, privateKey, 'contract_send');
+    if (!Number.isInteger(feeLimit) || feeLimit <= 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'feeLimit (SUN) is required and must be a positive integer'
+      );
+    }
+
+    const fn = await this.contractAbi.resolveFunction(contractAddress, functionName, parameters);
+    if (callValue > 0 && fn.stateMutability && fn.stateMutability !== 'payable') {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `${fn.signature} is not payable; callValue must be 0`
+      );
+    }
+
+    try {
+      const response = await this.sendContractTransaction(fn, contractAddress, parameters, {
+        feeLimit,
+        callValue,
+        privateKey,
+        waitTimeout
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(response, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to send contract transaction: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Send a TRC20 token: human-readable amount scaled by decimals(), feeLimit sized
+   * from the energy estimate and the current getEnergyFee
+   */
+  async sendTrc20({ token, to, amount, feeLimit, feeLimitMultiplier = 1.2, privateKey, confirm, waitTimeout = 60 }) {
+    requireConfirmedSend(this.tronWeb, confirm, privateKey, 'send_trc20');
+    if (feeLimit !== undefined && (!Number.isInteger(feeLimit) || feeLimit <= 0)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'feeLimit (SUN) must be a positive integer when given'
+      );
+    }
+    if (typeof feeLimitMultiplier !== 'number' || feeLimitMultiplier < 1) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'feeLimitMultiplier must be a number of at least 1'
+      );
+    }
+
+    const contractAddress = this.resolveToken(token);
+    const ownerAddress = getOwnerAddress(this.tronWeb, privateKey);
+
+    try {
+      const decimals = await this.getTokenDecimals(contractAddress);
+      const baseUnits = this.contractAbi.parseUnits(String(amount), decimals);
+      if (baseUnits === '0') {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'amount must be greater than zero'
+        );
+      }
+      const parameters = [to, baseUnits];
+      const fn = await this.contractAbi.resolveFunction(contractAddress, 'transfer(address,uint256)', parameters);
+
+      // Dry run from the sender: sizes the energy and surfaces reverts (e.g. balance too low) before signing
+      const dryRun = await this.constantCall(fn, contractAddress, parameters, { callerAddress: ownerAddress });
+      const { energyFee, maxFeeLimit } = await this.getFeeParameters();
+      const energy = this.getTransferEnergy(contractAddress, dryRun.energy_used);
+      const estimatedFeeLimit = Math.min(
+        Math.ceil(energy.value * energyFee * feeLimitMultiplier),
+        maxFeeLimit
+      );
+      // A fee limit of 0 would only get the transfer to fail on chain
+      if (!feeLimit && estimatedFeeLimit <= 0) {
+        throw new Error('The dry run reported no energy and no base energy is known for this token; pass feeLimit');
+      }
+      const appliedFeeLimit = feeLimit || estimatedFeeLimit;
+
+      const response = await this.sendContractTransaction(fn, contractAddress, parameters, {
+        feeLimit: appliedFeeLimit,
+        callValue: 0,
+        privateKey,
+        waitTimeout
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              ...response,
+              token,
+              to,
+              amount: String(amount),
+              amount_base_units: baseUnits,
+              decimals,
+              estimate: {
+                energy: energy.value,
+                energy_source: energy.source,
+                energy_price_sun: energyFee,
+                fee_limit_multiplier: feeLimitMultiplier,
+                estimated_fee_limit: estimatedFeeLimit,
+                fee_limit: appliedFeeLimit,
+                fee_limit_source: feeLimit ? 'request' : 'estimate'
+              }
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to send TRC20 transfer: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Energy to size a transfer's fee limit with: the dry run's, or the largest known base energy
+   * of the token's transfer when the dry run reports none
+   * @returns {{ value: number, source: string }} source is dry_run, knowledge or none
+   */
+  getTransferEnergy(contractAddress, energyUsed) {
+    if (energyUsed > 0) {
+      return { value: energyUsed, source: 'dry_run' };
+    }
+    const known = this.energyKnowledge?.getFunction(contractAddress, 'transfer(address,uint256)');
+    const baseEnergy = Math.max(0, ...Object.values(known?.variants || {}).map(variant => variant.base_energy || 0));
+    return baseEnergy > 0
+      ? { value: baseEnergy, source: 'knowledge' }
+      : { value: 0, source: 'none' };
+  }
+
+  /**
+   * Token symbol from the network's CONTRACT_ADDRESSES (e.g. USDT) or a contract address
+   */
+  resolveToken(token) {
+    if (this.tronWeb.isAddress(token)) {
+      return token;
+    }
+
+    const contracts = this.networks.getProfile().contracts;
+    const address = contracts[String(token).toUpperCase()];
+    if (!address) {
+      const known = Object.keys(contracts);
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown token '${token}' on ${this.networks.defaultNetwork}; pass a contract address${known.length > 0 ? ` or one of: ${known.join(', ')}` : ''}`
+      );
+    }
+    return address;
+  }
+
+  /**
+   * Current getEnergyFee (SUN per energy) and getMaxFeeLimit from the chain parameters
+   */
+  async getFeeParameters() {
+    const { parameters } = await this.executeWithFallback({
+      tronweb: async () => ({ parameters: await this.tronWeb.trx.getChainParameters() }),
+      trongrid: async () => {
+        const result = await this.trongridApiCall({
+          endpoint: '/wallet/getchainparameters',
+          method: 'POST'
+        });
+        return { parameters: JSON.parse(result.content[0].text).result.chainParameter || [] };
+      },
+      tronscan: async () => {
+        throw new UnsupportedSourceError('TronScan API does not provide chain parameters');
+      }
+    }, 'getFeeParameters');
+
+    const value = (key) => parameters.find(param => param.key === key)?.value;
+    const energyFee = value('getEnergyFee');
+    if (!energyFee) {
+      throw new Error('getEnergyFee missing from chain parameters');
+    }
+
+    return {
+      energyFee,
+      maxFeeLimit: value('getMaxFeeLimit') || 15000000000
+    };
+  }
+
+  /**
+   * Build, sign and broadcast a contract call on the default network, then wait for its receipt
+   * @returns {Promise<Object>} Transaction summary with the resources actually consumed
+   */
+  async sendContractTransaction(fn, contractAddress, parameters, { feeLimit, callValue, privateKey, waitTimeout }) {
+    const parameter = this.contractAbi.encodeParameters(fn, parameters);
+    const ownerAddress = getOwnerAddress(this.tronWeb, privateKey);
+
+    // Building has no side effects, so any source may build; the transaction is signed once and
+    // a fallback only rebroadcasts it, so a source failing after the network accepted it cannot send twice
+    const { transaction } = await this.executeWithFallback({
+      tronweb: async () => {
+        return await this.tronWeb.transactionBuilder.triggerSmartContract(
+          contractAddress,
+          fn.signature,
+          { feeLimit, callValue, rawParameter: parameter },
+          [],
+          ownerAddress
+        );
+      },
+      trongrid: async () => {
+        const built = await this.trongridApiCall({
+          endpoint: '/wallet/triggersmartcontract',
+          method: 'POST',
+          data: {
+            owner_address: ownerAddress,
+            contract_address: contractAddress,
+            function_selector: fn.signature,
+            parameter,
+            fee_limit: feeLimit,
+            call_value: callValue,
+            visible: true
+          }
+        });
+        const result = JSON.parse(built.content[0].text).result;
+        if (!result?.transaction) {
+          throw new Error('TronGrid did not return a transaction to sign');
+        }
+        return result;
+      },
+      tronscan: async () => {
+        throw new UnsupportedSourceError('TronScan API does not support building transactions - read-only API');
+      }
+    }, 'triggerSmartContract');
+
+    const signedTx = await this.tronWeb.trx.sign(transaction, privateKey);
+    const broadcast = await broadcastTransaction(signedTx, {
+      tronWeb: this.tronWeb,
+      trongridApiCall: this.trongridApiCall,
+      executeWithFallback: this.executeWithFallback,
+      operationName: 'contractSend'
+    });
+
+    const response = {
+      txid: broadcast.txid,
+      status: 'broadcast',
+      contractAddress,
+      functionSignature: fn.signature,
+      parameters,
+      ownerAddress,
+      feeLimit,
+      callValue,
+      source: broadcast.source
+    };
+
+    if (waitTimeout > 0) {
+      // Included is enough: the solidity node only knows the transaction ~19 blocks (~57s) later
+      const { info } = await pollTransactionInfo(broadcast.txid, {
+        tronWeb: this.tronWeb,
+        trongridApiCall: this.trongridApiCall,
+        executeWithFallback: this.executeWithFallback,
+        waitFor: 'included',
+        deadline: Date.now() + waitTimeout * 1000
+      });
+
+      if (info) {
+        const receipt = info.receipt || {};
+        response.status = 'confirmed';
+        response.result = receipt.result || 'SUCCESS';
+        response.blockNumber = info.blockNumber;
+        response.energy_used = receipt.energy_usage_total || 0;
+        response.energy_fee = receipt.energy_fee || 0;
+        response.net_usage = receipt.net_usage || 0;
+        response.net_fee = receipt.net_fee || 0;
+        response.fee = info.fee || 0;
+        if (response.result === 'SUCCESS') {
+          response.outputs = this.contractAbi.decodeOutputs(fn, info.contractResult?.[0]);
+        } else {
+          response.failure = diagnoseFailure({
+            result: response.result,
+            contractResult: info.contractResult?.[0] || '',
+            message: info.resMessage,
+            feeLimit,
+            energyUsed: response.energy_used,
+            energyFee: response.energy_fee
+          });
+        }
+      } else {
+        response.status = 'pending';
+        response.note = `Not confirmed within ${waitTimeout}s; check later with get_transaction`;
+      }
+    }
+
+    return response;
+  }
+
+}
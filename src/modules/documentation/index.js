@@ -0,0 +1,609 @@
+/**
+ * Documentation Module for TRON MCP Server
+ * Handles TRON developer docs, TronGrid API reference and java-tron repository lookups
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+export class DocumentationModule {
+  constructor(documentation, unifiedAPI) {
+    if (!documentation) {
+      throw new Error('DocumentationModule requires documentation instance');
+    }
+    this.documentation = documentation;
+    this.unifiedAPI = unifiedAPI;
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'search_tron_docs',
+        description: 'Search TRON documentation and get relevant resources',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query',
+            },
+            topic: {
+              type: 'string',
+              description: 'Specific topic to search within',
+            },
+          },
+          required: ['query'],
+        },
+        handler: (args) => this.searchTronDocs(args),
+      },
+      {
+        name: 'get_tron_reference',
+        description: 'Get quick reference for TRON concepts',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            topic: {
+              type: 'string',
+              description: 'Reference topic (addresses, units, fees, limits)',
+            },
+          },
+          required: ['topic'],
+        },
+        handler: (args) => this.getTronReference(args),
+      },
+      {
+        name: 'get_java_tron_releases',
+        description: 'Get latest java-tron releases from GitHub',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              description: 'Number of releases to fetch (default: 10)',
+            },
+          },
+        },
+        handler: (args) => this.getJavaTronReleases(args),
+      },
+      {
+        name: 'get_java_tron_readme',
+        description: 'Get java-tron README documentation',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+        handler: () => this.getJavaTronReadme(),
+      },
+      {
+        name: 'get_java_tron_file',
+        description: 'Get content of a specific file from java-tron repository',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'File path in the repository (e.g., "actuator/src/main/java/org/tron/core/actuator/TransferActuator.java")',
+            },
+          },
+          required: ['path'],
+        },
+        handler: (args) => this.getJavaTronFile(args),
+      },
+      {
+        name: 'search_java_tron',
+        description: 'Search in java-tron repository',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query',
+            },
+            type: {
+              type: 'string',
+              description: 'Search type: code, issues, commits (default: code)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Number of results (default: 20)',
+            },
+          },
+          required: ['query'],
+        },
+        handler: (args) => this.searchJavaTron(args),
+      },
+      {
+        name: 'get_java_tron_structure',
+        description: 'Get java-tron repository structure and modules',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+        handler: () => this.getJavaTronStructure(),
+      },
+      {
+        name: 'get_java_tron_protos',
+        description: 'Get Protocol Buffer definitions from java-tron',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+        handler: () => this.getJavaTronProtos(),
+      },
+      {
+        name: 'get_java_tron_issues',
+        description: 'Get recent issues from java-tron repository',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            state: {
+              type: 'string',
+              description: 'Issue state: open, closed, all (default: open)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Number of issues (default: 20)',
+            },
+          },
+        },
+        handler: (args) => this.getJavaTronIssues(args),
+      },
+      {
+        name: 'get_api_method_docs',
+        description: 'Get complete documentation for a TronGrid API method with verified examples',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            methodPath: {
+              type: 'string',
+              description: 'API method path (e.g., "/wallet/getcontract")',
+            },
+            includeExamples: {
+              type: 'boolean',
+              description: 'Include verified code examples (default: true)',
+            },
+            exampleLanguage: {
+              type: 'string',
+              description: 'Preferred language for examples (default: "javascript")',
+            },
+          },
+          required: ['methodPath'],
+        },
+        handler: (args) => this.getAPIMethodDocs(args),
+      },
+      {
+        name: 'get_method_fields',
+        description: 'Get exact field structure for API method parameters and response',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            methodPath: {
+              type: 'string',
+              description: 'API method path (e.g., "/wallet/getcontract")',
+            },
+          },
+          required: ['methodPath'],
+        },
+        handler: (args) => this.getMethodFields(args),
+      },
+      {
+        name: 'search_all_documentation',
+        description: 'Advanced search across all TRON documentation sources',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query',
+            },
+            source: {
+              type: 'string',
+              description: 'Source to search (trongrid, tronscan, all)',
+              enum: ['trongrid', 'tronscan', 'all'],
+            },
+            includeExamples: {
+              type: 'boolean',
+              description: 'Include code examples in results (default: true)',
+            },
+            exactMatch: {
+              type: 'boolean',
+              description: 'Require exact match (default: false)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of results (default: 10)',
+            },
+          },
+          required: ['query'],
+        },
+        handler: (args) => this.searchAllDocumentation(args),
+      },
+      {
+        name: 'get_api_recommendations',
+        description: 'Get recommendations and best practices for API method usage',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            methodPath: {
+              type: 'string',
+              description: 'API method path',
+            },
+          },
+          required: ['methodPath'],
+        },
+        handler: (args) => this.getAPIRecommendations(args),
+      },
+      {
+        name: 'update_documentation_cache',
+        description: 'Update documentation cache for fresh data',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            source: {
+              type: 'string',
+              description: 'Source to update (trongrid, examples, all)',
+              enum: ['trongrid', 'examples', 'all'],
+            },
+          },
+        },
+        handler: (args) => this.updateDocumentationCache(args),
+      },
+      {
+        name: 'get_documentation_status',
+        description: 'Get current status of documentation cache and examples',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+        handler: () => this.getDocumentationStatus(),
+      },
+    ];
+  }
+
+  /**
+   * Search TRON documentation and get relevant resources
+   */
+  async searchTronDocs({ query, topic }) {
+    try {
+      const results = await this.documentation.searchDocumentation(query, topic);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(results, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search documentation: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get quick reference for TRON concepts
+   */
+  async getTronReference({ topic }) {
+    try {
+      const reference = await this.documentation.getQuickReference(topic);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(reference, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get reference: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get latest java-tron releases from GitHub
+   */
+  async getJavaTronReleases({ limit = 10 }) {
+    try {
+      const releases = await this.documentation.getJavaTronReleases(limit);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(releases, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get java-tron releases: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get java-tron README documentation
+   */
+  async getJavaTronReadme() {
+    try {
+      const readme = await this.documentation.getJavaTronReadme();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: readme.content,
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get java-tron README: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get content of a specific file from java-tron repository
+   */
+  async getJavaTronFile({ path }) {
+    try {
+      const file = await this.documentation.getJavaTronFileContent(path);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(file, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get file content: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Search in java-tron repository
+   */
+  async searchJavaTron({ query, type = 'code', limit = 20 }) {
+    try {
+      const results = await this.documentation.searchJavaTronRepo(query, { type, limit });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(results, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search java-tron: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get java-tron repository structure and modules
+   */
+  async getJavaTronStructure() {
+    try {
+      const structure = await this.documentation.getJavaTronStructure();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(structure, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get java-tron structure: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get Protocol Buffer definitions from java-tron
+   */
+  async getJavaTronProtos() {
+    try {
+      const protos = await this.documentation.getProtocolBuffers();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(protos, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get Protocol Buffers: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get recent issues from java-tron repository
+   */
+  async getJavaTronIssues({ state = 'open', limit = 20 }) {
+    try {
+      const issues = await this.documentation.getJavaTronIssues(state, limit);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(issues, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get issues: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get complete documentation for a TronGrid API method
+   */
+  async getAPIMethodDocs({ methodPath, includeExamples = true, exampleLanguage = 'javascript' }) {
+    try {
+      const result = await this.unifiedAPI.getAPIMethodDocs(methodPath, { includeExamples, exampleLanguage });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get API method docs: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get field structure for API method parameters and response
+   */
+  async getMethodFields({ methodPath }) {
+    try {
+      const result = await this.unifiedAPI.getMethodFields(methodPath);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get method fields: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Search across all TRON documentation sources
+   */
+  async searchAllDocumentation({ query, ...options }) {
+    try {
+      const result = await this.unifiedAPI.searchDocumentation(query, options);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to search documentation: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get recommendations and best practices for an API method
+   */
+  async getAPIRecommendations({ methodPath }) {
+    try {
+      const result = await this.unifiedAPI.getAPIRecommendations(methodPath);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get API recommendations: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Refresh documentation cache
+   */
+  async updateDocumentationCache({ source = 'all' }) {
+    try {
+      const result = await this.unifiedAPI.updateDocumentationCache(source);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to update documentation cache: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get status of documentation cache and examples
+   */
+  async getDocumentationStatus() {
+    try {
+      const result = await this.unifiedAPI.getDocumentationStatus();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get documentation status: ${error.message}`
+      );
+    }
+  }
+}
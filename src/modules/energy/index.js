@@ -0,0 +1,877 @@
+/**
+ * Energy Module for TRON MCP Server
+ * Handles energy estimation for smart contract calls
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { EnergyEstimator } from '../../energy-estimator.js';
+import { EnergyCalibrator } from '../../energy-calibration.js';
+import { toExecution } from '../../estimate-tracker.js';
+import { NETWORK_ARGUMENT } from '../../network-profiles.js';
+import { UnsupportedSourceError } from '../../provider-health.js';
+import { toBase58 } from '../../normalizers.js';
+
+const MAX_CALIBRATION_BLOCKS = 200;
+const MAX_HISTORY_BLOCKS = 10000;
+// Transactions of a caller read per page, and pages read per matching pass
+const MATCH_TRANSACTIONS_LIMIT = 50;
+const MATCH_MAX_PAGES = 20;
+
+export class EnergyModule {
+  constructor(tronWeb, trongridApiCall, executeWithFallback, energyEstimator, networks = null, energyCalibrator = null) {
+    if (!tronWeb) {
+      throw new Error('EnergyModule requires tronWeb instance');
+    }
+    this.tronWeb = tronWeb;
+    this.trongridApiCall = trongridApiCall;
+    this.executeWithFallback = executeWithFallback;
+    this.energyEstimator = energyEstimator;
+    this.networks = networks;
+    this.networkEstimators = new Map();
+    this.energyCalibrator = energyCalibrator;
+    this.networkCalibrators = new Map();
+  }
+
+  /**
+   * ABI resolver for the requested network (default network when omitted)
+   */
+  getContractAbi(network) {
+    if (this.networks) {
+      return this.networks.getContractAbi(network);
+    }
+    return this.energyEstimator.contractAbi;
+  }
+
+  /**
+   * Energy estimator for the requested network (default network when omitted)
+   */
+  getEnergyEstimator(network) {
+    if (!network || !this.networks) {
+      return this.energyEstimator;
+    }
+
+    const profile = this.networks.getProfile(network);
+    if (profile.isDefault) {
+      return this.energyEstimator;
+    }
+
+    if (!this.networkEstimators.has(profile.name)) {
+      this.networkEstimators.set(
+        profile.name,
+        new EnergyEstimator(this.networks.getTronWeb(profile.name), {
+          network: profile.name,
+          contractAbi: this.networks.getContractAbi(profile.name)
+        })
+      );
+    }
+    return this.networkEstimators.get(profile.name);
+  }
+
+  /**
+   * Calibrator of the energy knowledge store of the requested network
+   */
+  getEnergyCalibrator(network) {
+    const estimator = this.getEnergyEstimator(network);
+    if (this.energyCalibrator && estimator === this.energyEstimator) {
+      return this.energyCalibrator;
+    }
+
+    const name = estimator.network;
+    if (!this.networkCalibrators.has(name)) {
+      this.networkCalibrators.set(name, new EnergyCalibrator(estimator.tronWeb, estimator.energyKnowledge));
+    }
+    return this.networkCalibrators.get(name);
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'estimate_energy',
+        description: 'Estimate energy consumption for a contract call',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Smart contract address',
+            },
+            functionName: {
+              type: 'string',
+              description: 'Function name',
+            },
+            parameters: {
+              type: 'array',
+              description: 'Function parameters',
+              items: {},
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['contractAddress', 'functionName'],
+        },
+        handler: (args) => this.estimateEnergy(args),
+      },
+      {
+        name: 'estimate_contract_energy',
+        description: 'Estimate energy for a smart contract call by simulating it on the TRON node (wallet/estimateenergy, then triggerconstantcontract); nothing is broadcast. The result names the method used and its limitations',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Smart contract address',
+            },
+            functionName: {
+              type: 'string',
+              description: 'Function name, or full signature such as "transfer(address,uint256)" for overloads',
+            },
+            parameters: {
+              type: 'array',
+              description: 'Function parameters',
+              items: {},
+            },
+            callerAddress: {
+              type: 'string',
+              description: 'Address the call is simulated from (optional, default: the server address). For token transfers use an address holding the tokens',
+            },
+            callValue: {
+              type: 'number',
+              description: 'TRX sent with the call in SUN (optional, default: 0)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['contractAddress', 'functionName'],
+        },
+        handler: (args) => this.estimateContractEnergy(args),
+      },
+      {
+        name: 'batch_estimate_energy',
+        description: 'Batch estimate energy for multiple contract calls',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractCalls: {
+              type: 'array',
+              description: 'Array of contract call objects',
+              items: {
+                type: 'object',
+                properties: {
+                  contractAddress: { type: 'string' },
+                  functionName: { type: 'string' },
+                  parameters: { type: 'array' },
+                  callerAddress: { type: 'string' },
+                  callValue: { type: 'number' }
+                },
+                required: ['contractAddress', 'functionName']
+              }
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['contractCalls'],
+        },
+        handler: (args) => this.batchEstimateEnergy(args),
+      },
+      {
+        name: 'analyze_contract_gas',
+        description: 'Analyze gas costs for all functions in a smart contract',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Smart contract address',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['contractAddress'],
+        },
+        handler: (args) => this.analyzeContractGas(args),
+      },
+      {
+        name: 'scan_energy_history',
+        description: 'Scan the latest blocks for successful calls to a contract and store the energy each call used, for get_energy_history, estimates and analyze_contract_gas. Blocks scanned before are skipped',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Smart contract address',
+            },
+            blocks: {
+              type: 'number',
+              description: `How many of the latest blocks to cover (default: 1000, max: ${MAX_HISTORY_BLOCKS}; 1200 blocks is about an hour)`,
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['contractAddress'],
+        },
+        handler: (args, context) => this.scanEnergyHistory(args, context),
+      },
+      {
+        name: 'get_energy_history',
+        description: 'Energy percentiles (p50/p90/p99/max with 95% confidence intervals) of past calls to a contract, per function, from scanned blocks',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Smart contract address',
+            },
+            functionName: {
+              type: 'string',
+              description: 'Only this function: name, full signature or 4-byte selector (optional)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['contractAddress'],
+        },
+        handler: (args) => this.getEnergyHistory(args),
+      },
+      {
+        name: 'get_energy_constants',
+        description: 'Energy constants used for static estimates: base energy of known contract functions with when each value was last verified and from how many on-chain samples',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getEnergyConstants(args),
+      },
+      {
+        name: 'calibrate_energy_constants',
+        description: 'Recompute the energy constants from the receipts of recent blocks (median base energy per known contract function)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            blocks: {
+              type: 'number',
+              description: `Blocks to sample from the last hour (default: 20, max: ${MAX_CALIBRATION_BLOCKS})`,
+            },
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.calibrateEnergyConstants(args),
+      },
+      {
+        name: 'record_estimate_outcome',
+        description: 'Compare an estimate from estimate_contract_energy with the energy its transaction really used. Estimates made with a callerAddress are also matched automatically when that address sends the call',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            txid: {
+              type: 'string',
+              description: 'Transaction ID of the executed call',
+            },
+            estimateId: {
+              type: 'string',
+              description: 'estimate_id returned by estimate_contract_energy (optional, default: the latest estimate of the same caller, contract and function)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['txid'],
+        },
+        handler: (args) => this.recordEstimateOutcome(args),
+      },
+      {
+        name: 'get_estimate_accuracy',
+        description: 'Accuracy of past energy estimates against their on-chain receipts: error distribution per estimation method, per contract and per recipient state',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            contractAddress: {
+              type: 'string',
+              description: 'Only estimates for this contract (optional)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getEstimateAccuracy(args),
+      },
+      {
+        name: 'clear_energy_cache',
+        description: 'Clear energy estimation cache',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+        handler: () => this.clearEnergyCache(),
+      },
+    ];
+  }
+
+  /**
+   * Estimate energy consumption for a contract call
+   */
+  async estimateEnergy({ contractAddress, functionName, parameters = [], network }) {
+    try {
+      // Use the same fallback system as estimateContractEnergy
+      return await this.estimateContractEnergy({
+        contractAddress,
+        functionName,
+        parameters,
+        callerAddress: null,
+        network
+      });
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to estimate energy: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Estimate energy for a contract call
+   * The node simulates the call (wallet/estimateenergy, then triggerconstantcontract), through
+   * TronWeb and then TronGrid; a static estimate is returned when neither can simulate it.
+   */
+  async estimateContractEnergy({ contractAddress, functionName, parameters = [], callerAddress, callValue = 0, network }) {
+    const energyEstimator = this.getEnergyEstimator(network);
+
+    try {
+      if (!energyEstimator) {
+        throw new Error('Energy estimator not initialized');
+      }
+
+      let call = null;
+      let result;
+      try {
+        call = await energyEstimator.prepareCall(contractAddress, functionName, parameters, callerAddress, callValue);
+        result = await this.executeWithFallback({
+          tronweb: async () => {
+            return await energyEstimator.estimateCall(call);
+          },
+          trongrid: async () => {
+            return await energyEstimator.estimateCall(call, async (path, data) => {
+              const response = await this.trongridApiCall({
+                endpoint: `/${path}`,
+                method: 'POST',
+                data,
+                network
+              });
+              return JSON.parse(response.content[0].text).result;
+            });
+          },
+          tronscan: async () => {
+            throw new UnsupportedSourceError('TronScan API can not simulate contract calls');
+          }
+        }, 'estimateContractEnergy', network);
+      } catch (error) {
+        if (error instanceof McpError && error.code === ErrorCode.InvalidParams) {
+          throw error;
+        }
+        console.error(`[TRON-MCP] Node energy estimation unavailable, using history or static estimate: ${error.message}`);
+        result = await energyEstimator.offlineEstimate(contractAddress, functionName, parameters, callerAddress, error.message);
+      }
+
+      // Tracked so the estimate can be compared with the receipt once the caller sends the call
+      const signature = result.functionSignature || call?.functionSignature || result.constant?.signature;
+      result.estimate_id = signature
+        ? await energyEstimator.estimateTracker.record(result, {
+          signature,
+          selector: energyEstimator.energyHistory.getSelector(signature),
+          watch: Boolean(callerAddress)
+        })
+        : null;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to estimate contract energy: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Batch estimate energy for multiple contract calls
+   */
+  async batchEstimateEnergy({ contractCalls, network }) {
+    const energyEstimator = this.getEnergyEstimator(network);
+
+    try {
+      if (!energyEstimator) {
+        throw new Error('Energy estimator not initialized');
+      }
+      
+      const results = await energyEstimator.batchEstimateEnergy(contractCalls);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(results, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to batch estimate energy: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Analyze gas costs for all functions in a smart contract
+   */
+  async analyzeContractGas({ contractAddress, network }) {
+    const energyEstimator = this.getEnergyEstimator(network);
+
+    try {
+      if (!energyEstimator) {
+        throw new Error('Energy estimator not initialized');
+      }
+      
+      const analysis = await energyEstimator.analyzeContractGasCosts(contractAddress);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(analysis, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to analyze contract gas: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Scan recent blocks for calls to a contract into the energy history
+   */
+  async scanEnergyHistory({ contractAddress, blocks = 1000, network }, { reportProgress } = {}) {
+    const energyEstimator = this.getEnergyEstimator(network);
+    if (!energyEstimator?.tronWeb.isAddress(contractAddress)) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid contract address: ${contractAddress}`);
+    }
+    if (!Number.isInteger(blocks) || blocks < 1 || blocks > MAX_HISTORY_BLOCKS) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `blocks must be an integer between 1 and ${MAX_HISTORY_BLOCKS}`
+      );
+    }
+
+    try {
+      const history = energyEstimator.energyHistory;
+
+      // Label samples with the function signatures when the ABI is available
+      const functions = {};
+      try {
+        const abi = await this.getContractAbi(network).getAbi(contractAddress);
+        for (const entry of abi.filter(item => item.type === 'function')) {
+          const signature = this.getContractAbi(network).getSignature(entry);
+          functions[history.getSelector(signature)] = signature;
+        }
+      } catch (error) {
+        console.error(`[TRON-MCP] ABI of ${contractAddress} unavailable, samples keep bare selectors: ${error.message}`);
+      }
+
+      const options = {
+        blocks,
+        functions,
+        onProgress: reportProgress ? (scanned, total) => reportProgress(scanned, total) : null
+      };
+      const result = await this.executeWithFallback({
+        tronweb: async () => {
+          return await history.scan(contractAddress, options);
+        },
+        trongrid: async () => {
+          return await history.scan(contractAddress, {
+            ...options,
+            request: async (path, data) => {
+              const response = await this.trongridApiCall({
+                endpoint: `/${path}`,
+                method: 'POST',
+                data,
+                network
+              });
+              return JSON.parse(response.content[0].text).result;
+            }
+          });
+        },
+        tronscan: async () => {
+          throw new UnsupportedSourceError('TronScan API does not return transaction receipts by block');
+        }
+      }, 'scanEnergyHistory', network);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to scan energy history: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Energy percentiles of scanned calls to a contract
+   */
+  async getEnergyHistory({ contractAddress, functionName, network }) {
+    const energyEstimator = this.getEnergyEstimator(network);
+    if (!energyEstimator?.tronWeb.isAddress(contractAddress)) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid contract address: ${contractAddress}`);
+    }
+
+    try {
+      const history = energyEstimator.energyHistory;
+      let selectors = null;
+      if (functionName) {
+        selectors = await history.getSelectors(contractAddress, functionName);
+        if (selectors.length === 0) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `Unknown function '${functionName}' for ${contractAddress}; pass its signature or selector, or scan with the ABI available`
+          );
+        }
+      }
+
+      const stats = await history.getStats(contractAddress, { selectors });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              ...stats,
+              ...(stats.scanned.length === 0 ? { note: 'No blocks scanned for this contract yet; run scan_energy_history' } : {})
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get energy history: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Energy constants of the knowledge store with their calibration state
+   */
+  async getEnergyConstants({ network } = {}) {
+    const energyEstimator = this.getEnergyEstimator(network);
+
+    try {
+      if (!energyEstimator) {
+        throw new Error('Energy estimator not initialized');
+      }
+
+      const knowledge = energyEstimator.energyKnowledge;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              network: knowledge.network,
+              description: 'Base energy before the dynamic energy penalty; see estimate_contract_energy for the current energy factor',
+              calibration: knowledge.getCalibrationInfo(),
+              contracts: knowledge.getContracts(),
+              generic: knowledge.generic
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get energy constants: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Recalibrate the energy constants from recent receipts
+   */
+  async calibrateEnergyConstants({ blocks = 20, network } = {}) {
+    if (!Number.isInteger(blocks) || blocks < 1 || blocks > MAX_CALIBRATION_BLOCKS) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `blocks must be an integer between 1 and ${MAX_CALIBRATION_BLOCKS}`
+      );
+    }
+
+    try {
+      if (!this.energyEstimator) {
+        throw new Error('Energy estimator not initialized');
+      }
+      const calibrator = this.getEnergyCalibrator(network);
+
+      const result = await this.executeWithFallback({
+        tronweb: async () => {
+          return await calibrator.calibrate({ blocks });
+        },
+        trongrid: async () => {
+          return await calibrator.calibrate({
+            blocks,
+            request: async (path, data) => {
+              const response = await this.trongridApiCall({
+                endpoint: `/${path}`,
+                method: 'POST',
+                data,
+                network
+              });
+              return JSON.parse(response.content[0].text).result;
+            }
+          });
+        },
+        tronscan: async () => {
+          throw new UnsupportedSourceError('TronScan API does not return transaction receipts by block');
+        }
+      }, 'calibrateEnergyConstants', network);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to calibrate energy constants: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Match an executed transaction with an estimate and return the estimate's error
+   */
+  async recordEstimateOutcome({ txid, estimateId, network }) {
+    if (typeof txid !== 'string' || !/^(0x)?[0-9a-fA-F]{64}$/.test(txid)) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid transaction ID: ${txid}`);
+    }
+    const energyEstimator = this.getEnergyEstimator(network);
+    const id = txid.replace(/^0x/, '').toLowerCase();
+
+    try {
+      if (!energyEstimator) {
+        throw new Error('Energy estimator not initialized');
+      }
+
+      const read = async (request) => ({
+        transaction: await request('wallet/gettransactionbyid', { value: id }),
+        info: await request('wallet/gettransactioninfobyid', { value: id })
+      });
+      const { transaction, info } = await this.executeWithFallback({
+        tronweb: async () => {
+          return await read((path, data) => energyEstimator.tronWeb.fullNode.request(path, data, 'post'));
+        },
+        trongrid: async () => {
+          return await read(async (path, data) => {
+            const response = await this.trongridApiCall({
+              endpoint: `/${path}`,
+              method: 'POST',
+              data,
+              network
+            });
+            return JSON.parse(response.content[0].text).result;
+          });
+        },
+        tronscan: async () => {
+          throw new UnsupportedSourceError('TronScan API does not return raw transactions with receipts');
+        }
+      }, 'recordEstimateOutcome', network);
+
+      if (!transaction?.txID || !info?.id) {
+        throw new McpError(ErrorCode.InvalidParams, `Transaction ${txid} not found or not yet in a block`);
+      }
+      const execution = toExecution(transaction, info);
+      if (!execution) {
+        throw new McpError(ErrorCode.InvalidParams, `Transaction ${txid} is not a smart contract call`);
+      }
+
+      const estimate = await energyEstimator.estimateTracker.match(execution, estimateId);
+      if (!estimate) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          estimateId
+            ? `Estimate ${estimateId} not found or not for the call of ${txid} (${execution.contract}, selector 0x${execution.selector})`
+            : `No estimate of ${execution.caller} calling ${execution.contract} (selector 0x${execution.selector}) before ${txid}`
+        );
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(estimate, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to record estimate outcome: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Error distributions of the estimates matched with receipts so far
+   */
+  async getEstimateAccuracy({ contractAddress, network } = {}) {
+    const energyEstimator = this.getEnergyEstimator(network);
+    if (contractAddress && !energyEstimator?.tronWeb.isAddress(contractAddress)) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid contract address: ${contractAddress}`);
+    }
+
+    try {
+      if (!energyEstimator) {
+        throw new Error('Energy estimator not initialized');
+      }
+
+      // Pick up transactions sent since the last matching pass
+      try {
+        await this.matchEstimates(energyEstimator);
+      } catch (error) {
+        console.error(`[TRON-MCP] Estimate matching failed: ${error.message}`);
+      }
+
+      const report = await energyEstimator.estimateTracker.getReport({ contractAddress });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(report, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get estimate accuracy: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Match the pending estimates of every network with the transactions their callers sent
+   */
+  async matchPendingEstimates() {
+    for (const energyEstimator of [this.energyEstimator, ...this.networkEstimators.values()]) {
+      await this.matchEstimates(energyEstimator);
+    }
+  }
+
+  /**
+   * Look up the transactions of the callers with pending estimates (TronGrid account index)
+   * and match the calls of the estimated functions with their receipts
+   * @returns {Promise<number>} Estimates matched
+   */
+  async matchEstimates(energyEstimator) {
+    const tracker = energyEstimator.estimateTracker;
+    const network = energyEstimator.network;
+    const read = async (endpoint, method = 'GET', data = {}) => {
+      const response = await this.trongridApiCall({ endpoint, method, data, network });
+      return JSON.parse(response.content[0].text).result;
+    };
+
+    let matched = 0;
+    for (const [caller, { since, calls }] of await tracker.getWatchedCallers()) {
+      // Pages follow meta.fingerprint until every transaction since the oldest pending estimate is read
+      const query = {
+        only_from: true,
+        min_timestamp: since,
+        order_by: 'block_timestamp,asc',
+        limit: MATCH_TRANSACTIONS_LIMIT
+      };
+      let fingerprint = null;
+      let pages = 0;
+      do {
+        const params = new URLSearchParams(fingerprint ? { ...query, fingerprint } : query);
+        const transactions = await read(`/v1/accounts/${caller}/transactions?${params}`);
+
+        for (const transaction of transactions?.data || []) {
+          const value = transaction.raw_data?.contract?.[0]?.parameter?.value || {};
+          const call = `${toBase58(value.contract_address)}:${(value.data || '').slice(0, 8).toLowerCase()}`;
+          if (!calls.has(call)) {
+            continue;
+          }
+          const info = await read('/wallet/gettransactioninfobyid', 'POST', { value: transaction.txID });
+          const execution = info?.id ? toExecution(transaction, info) : null;
+          if (execution && await tracker.match(execution)) {
+            matched++;
+          }
+        }
+
+        fingerprint = transactions?.meta?.fingerprint || null;
+        pages++;
+      } while (fingerprint && pages < MATCH_MAX_PAGES);
+
+      if (fingerprint) {
+        console.error(`[TRON-MCP] ${caller} sent more than ${MATCH_MAX_PAGES * MATCH_TRANSACTIONS_LIMIT} transactions since its oldest pending estimate, only the first ones were checked`);
+      }
+    }
+
+    if (matched > 0) {
+      console.error(`[TRON-MCP] Matched ${matched} energy estimate(s) with receipts on ${network}`);
+    }
+    return matched;
+  }
+
+  /**
+   * Clear energy estimation cache
+   */
+  async clearEnergyCache() {
+    try {
+      if (!this.energyEstimator) {
+        throw new Error('Energy estimator not initialized');
+      }
+      
+      const result = await this.energyEstimator.clearCache();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to clear energy cache: ${error.message}`
+      );
+    }
+  }
+}
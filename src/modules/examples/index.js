@@ -0,0 +1,238 @@
+/**
+ * Examples Module for TRON MCP Server
+ * Handles the verified code examples knowledge base
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+export class ExamplesModule {
+  constructor(examplesManager, unifiedAPI) {
+    if (!examplesManager) {
+      throw new Error('ExamplesModule requires examplesManager instance');
+    }
+    this.examplesManager = examplesManager;
+    this.unifiedAPI = unifiedAPI;
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'get_example_with_context',
+        description: 'Get verified code example with related documentation context',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            exampleId: {
+              type: 'string',
+              description: 'Example ID',
+            },
+            language: {
+              type: 'string',
+              description: 'Programming language (default: "javascript")',
+            },
+            includeRelatedDocs: {
+              type: 'boolean',
+              description: 'Include related documentation (default: true)',
+            },
+          },
+          required: ['exampleId'],
+        },
+        handler: (args) => this.getExampleWithContext(args),
+      },
+      {
+        name: 'find_examples',
+        description: 'Find verified code examples by criteria',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            category: {
+              type: 'string',
+              description: 'Example category',
+            },
+            tags: {
+              type: 'array',
+              description: 'Required tags',
+              items: { type: 'string' },
+            },
+            language: {
+              type: 'string',
+              description: 'Programming language',
+            },
+            query: {
+              type: 'string',
+              description: 'Search query',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum results (default: 10)',
+            },
+          },
+        },
+        handler: (args) => this.findExamples(args),
+      },
+      {
+        name: 'add_verified_example',
+        description: 'Add a new verified code example to the knowledge base',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            title: {
+              type: 'string',
+              description: 'Example title',
+            },
+            description: {
+              type: 'string',
+              description: 'Example description',
+            },
+            category: {
+              type: 'string',
+              description: 'Example category (energy-rental, smart-contracts, etc.)',
+            },
+            tags: {
+              type: 'array',
+              description: 'Tags for categorization',
+              items: { type: 'string' },
+            },
+            code: {
+              type: 'object',
+              description: 'Code in different languages (e.g., {"javascript": "...", "php": "..."})',
+            },
+            testResults: {
+              type: 'object',
+              description: 'Test results from different networks',
+            },
+            relatedDocs: {
+              type: 'array',
+              description: 'Related documentation URLs',
+              items: { type: 'string' },
+            },
+            notes: {
+              type: 'array',
+              description: 'Additional notes',
+              items: { type: 'string' },
+            },
+          },
+          required: ['title', 'description', 'category', 'code'],
+        },
+        handler: (args) => this.addVerifiedExample(args),
+      },
+      {
+        name: 'import_examples_from_project',
+        description: 'Import verified examples from netts.io project codebase',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            projectPath: {
+              type: 'string',
+              description: 'Path to netts.io project directory',
+            },
+          },
+          required: ['projectPath'],
+        },
+        handler: (args) => this.importExamplesFromProject(args),
+      },
+    ];
+  }
+
+  /**
+   * Get verified code example with related documentation context
+   */
+  async getExampleWithContext({ exampleId, ...options }) {
+    try {
+      const result = await this.unifiedAPI.getExampleWithContext(exampleId, options);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get example: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Find verified code examples by criteria
+   */
+  async findExamples(criteria = {}) {
+    try {
+      const result = await this.examplesManager.findExamples(criteria);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to find examples: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Add a new verified code example to the knowledge base
+   */
+  async addVerifiedExample(exampleData) {
+    try {
+      const result = await this.unifiedAPI.addVerifiedExample(exampleData);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              id: result.id,
+              message: 'Example added successfully'
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to add example: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Import verified examples from a netts.io project directory
+   */
+  async importExamplesFromProject({ projectPath }) {
+    try {
+      const result = await this.examplesManager.importFromNettsProject(projectPath);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              projectPath,
+              imported: result.length,
+              examples: result.map(example => example.id)
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to import examples: ${error.message}`
+      );
+    }
+  }
+}
@@ -13,6 +13,32 @@ export class MarketModule {
     this.priceTracker = priceTracker;
   }
 
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'get_trx_price',
+        description: 'Get current TRX price from CoinGecko',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+        handler: () => this.getTRXPrice(),
+      },
+      {
+        name: 'get_trx_market_data',
+        description: 'Get detailed TRX market data',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+        handler: () => this.getTRXMarketData(),
+      },
+    ];
+  }
+
   /**
    * Get current TRX price
    */
@@ -0,0 +1,496 @@
+/**
+ * Network Module for TRON MCP Server
+ * Handles network statistics, chain parameters and resource prices
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { NETWORK_ARGUMENT } from '../../network-profiles.js';
+import { getRequestBudgetStats } from '../../request-policy.js';
+import { getApiKeyStats } from '../../api-keys.js';
+
+export class NetworkModule {
+  constructor(tronWeb, trongridApiCall, tronscanApiCall, executeWithFallback, tronScanAPI, networkMonitor, networks = null, providerHealth = null) {
+    if (!tronWeb) {
+      throw new Error('NetworkModule requires tronWeb instance');
+    }
+    this.tronWeb = tronWeb;
+    this.trongridApiCall = trongridApiCall;
+    this.tronscanApiCall = tronscanApiCall;
+    this.executeWithFallback = executeWithFallback;
+    this.tronScanAPI = tronScanAPI;
+    this.networkMonitor = networkMonitor;
+    this.networks = networks;
+    this.providerHealth = providerHealth;
+  }
+
+  /**
+   * TronWeb for the requested network (default network when omitted)
+   */
+  getTronWeb(network) {
+    return network && this.networks ? this.networks.getTronWeb(network) : this.tronWeb;
+  }
+
+  /**
+   * TronScan client for the requested network (default network when omitted)
+   */
+  getTronScanAPI(network) {
+    return network && this.networks ? this.networks.getTronScanAPI(network) : this.tronScanAPI;
+  }
+
+  /**
+   * The network monitor only polls the default network
+   */
+  isDefaultNetwork(network) {
+    return !network || !this.networks || this.networks.getProfile(network).isDefault;
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'get_network_statistics',
+        description: 'Get comprehensive TRON network statistics',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getNetworkStatistics(args),
+      },
+      {
+        name: 'get_energy_consumption',
+        description: 'Get energy consumption statistics',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              description: 'Number of contracts to return (default: 10)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getEnergyConsumption(args),
+      },
+      {
+        name: 'get_defi_tvl',
+        description: 'Get DeFi Total Value Locked data',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getDefiTVL(args),
+      },
+      {
+        name: 'get_staking_info',
+        description: 'Get TRX staking rate and information',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getStakingInfo(args),
+      },
+      {
+        name: 'get_chain_parameters',
+        description: 'Get current chain parameters',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getChainParameters(args),
+      },
+      {
+        name: 'get_energy_prices',
+        description: 'Get current energy and bandwidth prices',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            network: NETWORK_ARGUMENT,
+          },
+        },
+        handler: (args) => this.getEnergyPrices(args),
+      },
+      {
+        name: 'get_network_profiles',
+        description: 'List the configured TRON networks (mainnet, shasta, nile) and their endpoints',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+        handler: () => this.getNetworkProfiles(),
+      },
+      {
+        name: 'get_provider_health',
+        description: 'Show the circuit state, error rate, latency and recent failures of the node, TronGrid and TronScan, plus request budget usage',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            network: {
+              ...NETWORK_ARGUMENT,
+              description: 'Only show providers of this network (default: all networks)',
+            },
+          },
+        },
+        handler: (args) => this.getProviderHealth(args),
+      },
+      {
+        name: 'get_api_key_stats',
+        description: 'Show usage counters and status of every configured TronGrid and TronScan API key (keys are masked)',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+        handler: () => this.getApiKeyStats(),
+      },
+    ];
+  }
+
+  /**
+   * Get comprehensive TRON network statistics
+   */
+  async getNetworkStatistics({ network } = {}) {
+    try {
+      const stats = await this.getTronScanAPI(network).getTronStatistics();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(stats, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get network statistics: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get energy consumption statistics
+   */
+  async getEnergyConsumption({ limit = 10, network }) {
+    try {
+      const energyData = await this.getTronScanAPI(network).getEnergyConsumptionData(limit);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(energyData, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get energy consumption data: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get DeFi Total Value Locked data
+   */
+  async getDefiTVL({ network } = {}) {
+    try {
+      const tvlData = await this.getTronScanAPI(network).getDefiTVL();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(tvlData, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get DeFi TVL data: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get TRX staking rate and information
+   */
+  async getStakingInfo({ network } = {}) {
+    try {
+      const stakingData = await this.getTronScanAPI(network).getStakingRate();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(stakingData, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get staking info: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get current chain parameters (network monitor cache first)
+   */
+  async getChainParameters({ network } = {}) {
+    const tronWeb = this.getTronWeb(network);
+
+    try {
+      // Try to get cached data from network monitor first
+      if (this.networkMonitor && this.isDefaultNetwork(network)) {
+        try {
+          const parameters = this.networkMonitor.getChainParameters();
+          if (parameters) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({
+                    ...parameters,
+                    source: 'network_monitor_cache'
+                  }, null, 2),
+                },
+              ],
+            };
+          }
+        } catch (error) {
+          console.error('Network monitor error, falling back to direct API call:', error.message);
+        }
+      }
+      
+      // Use executeWithFallback for smart fallback behavior
+      const result = await this.executeWithFallback({
+        tronweb: async () => {
+          const parameters = await tronWeb.trx.getChainParameters();
+          return parameters;
+        },
+        trongrid: async () => {
+          const result = await this.trongridApiCall({
+            endpoint: '/wallet/getchainparameters',
+            method: 'POST',
+            data: {},
+            network
+          });
+          return JSON.parse(result.content[0].text).result;
+        },
+        tronscan: async () => {
+          // TronScan API has different endpoint structure for chain parameters
+          const result = await this.tronscanApiCall({
+            endpoint: '/api/system/parameters',
+            params: {},
+            network
+          });
+          const scanData = JSON.parse(result.content[0].text).result;
+          
+          // Convert TronScan format to standard TRON format
+          const parameters = {
+            chainParameter: scanData.map(param => ({
+              key: param.key,
+              value: param.value
+            }))
+          };
+          
+          return parameters;
+        }
+      }, 'getChainParameters', network);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get chain parameters: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get current energy and bandwidth prices
+   */
+  async getEnergyPrices({ network } = {}) {
+    const tronWeb = this.getTronWeb(network);
+
+    try {
+      // Use executeWithFallback for smart fallback behavior
+      const result = await this.executeWithFallback({
+        tronweb: async () => {
+          // Get chain parameters from TronWeb node
+          const chainParams = await tronWeb.trx.getChainParameters();
+          return this.processChainParametersForEnergyPrices(chainParams);
+        },
+        trongrid: async () => {
+          // Get chain parameters from TronGrid API
+          const result = await this.trongridApiCall({
+            endpoint: '/wallet/getchainparameters',
+            method: 'POST',
+            data: {},
+            network
+          });
+          
+          const data = JSON.parse(result.content[0].text).result;
+          return this.processChainParametersForEnergyPrices(data.chainParameter || []);
+        },
+        tronscan: async () => {
+          // Original TronScan API call
+          const prices = await this.getTronScanAPI(network).getEnergyPrices();
+          return prices;
+        }
+      }, 'getEnergyPrices', network);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      // Last resort: return static energy prices based on known values
+      console.error('All energy price sources failed, using fallback values:', error.message);
+      
+      const fallbackPrices = {
+        energy_price_sun: 210, // 210 SUN per energy unit (current network value)
+        bandwidth_price_sun: 1000, // 1000 SUN per bandwidth unit
+        create_account_fee: 100000, // 0.1 TRX in SUN
+        transaction_fee: 1000, // 0.001 TRX in SUN
+        witness_create_fee: 9999000000, // 9999 TRX in SUN
+        asset_issue_fee: 1024000000, // 1024 TRX in SUN
+        last_updated: new Date().toISOString(),
+        source: 'fallback_static_values',
+        note: 'All API sources failed, using static fallback values'
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(fallbackPrices, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Describe the configured network profiles
+   */
+  async getNetworkProfiles() {
+    if (!this.networks) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        'Network profiles are not configured'
+      );
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(this.networks.describe(), null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Circuit breaker state of every data source used so far
+   */
+  async getProviderHealth({ network } = {}) {
+    if (!this.providerHealth) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        'Provider health tracking is not configured'
+      );
+    }
+
+    const networkName = network && this.networks ? this.networks.getProfile(network).name : network;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            ...this.providerHealth.getSnapshot(networkName),
+            request_budgets: getRequestBudgetStats()
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Usage and retirement state of the TronGrid and TronScan API keys
+   */
+  async getApiKeyStats() {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ providers: getApiKeyStats() }, null, 2),
+        },
+      ],
+    };
+  }
+
+  // Helper function to process chain parameters and extract energy pricing info
+  processChainParametersForEnergyPrices(chainParams) {
+    const params = Array.isArray(chainParams) ? chainParams : chainParams.chainParameter || [];
+    
+    const result = {
+      source: 'chain_parameters',
+      last_updated: new Date().toISOString(),
+      raw_parameters: {}
+    };
+
+    // Extract key parameters
+    params.forEach(param => {
+      if (param.key && param.value !== undefined) {
+        result.raw_parameters[param.key] = param.value;
+      }
+    });
+
+    // Calculate energy prices from chain parameters
+    const energyFee = result.raw_parameters.getEnergyFee || 210; // Default 210 SUN (current network value)
+    const transactionFee = result.raw_parameters.getTransactionFee || 1000; // Default 1000 SUN
+    const createAccountFee = result.raw_parameters.getCreateAccountFee || 100000; // Default 0.1 TRX
+    
+    result.energy_price_sun = energyFee;
+    result.bandwidth_price_sun = transactionFee;
+    result.create_account_fee = createAccountFee;
+    result.transaction_fee = transactionFee;
+
+    // Add additional useful parameters
+    if (result.raw_parameters.getAccountUpgradeCost) {
+      result.witness_create_fee = result.raw_parameters.getAccountUpgradeCost;
+    }
+    if (result.raw_parameters.getAssetIssueFee) {
+      result.asset_issue_fee = result.raw_parameters.getAssetIssueFee;
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,643 @@
+/**
+ * Staking Module for TRON MCP Server
+ * Handles Stake 2.0 operations: freeze, unfreeze, delegate, undelegate,
+ * withdraw of expired unfrozen TRX, resource yield previews and delegation audits
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { NETWORK_ARGUMENT } from '../../network-profiles.js';
+import { UnsupportedSourceError } from '../../provider-health.js';
+import { broadcastTransaction, getOwnerAddress, requireConfirmedSend } from '../../transaction-sending.js';
+
+const RESOURCE_ARGUMENT = {
+  type: 'string',
+  description: 'Resource: ENERGY or BANDWIDTH (default: ENERGY)',
+  enum: ['ENERGY', 'BANDWIDTH'],
+};
+
+// Counterparties looked up at once when listing delegations
+const DELEGATION_BATCH_SIZE = 10;
+
+const SIGNING_ARGUMENTS = {
+  privateKey: {
+    type: 'string',
+    description: 'Private key of the owner (optional if set in env)',
+  },
+  confirm: {
+    type: 'boolean',
+    description: 'Must be true: acknowledges that a transaction will be broadcast',
+  },
+};
+
+export class StakingModule {
+  constructor(tronWeb, trongridApiCall, executeWithFallback, networks) {
+    if (!tronWeb) {
+      throw new Error('StakingModule requires tronWeb instance');
+    }
+    if (!networks) {
+      throw new Error('StakingModule requires network profiles');
+    }
+    this.tronWeb = tronWeb;
+    this.trongridApiCall = trongridApiCall;
+    this.executeWithFallback = executeWithFallback;
+    this.networks = networks;
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    return [
+      {
+        name: 'get_stake_preview',
+        description: 'Preview how much energy or bandwidth staking a TRX amount yields at the current network weights',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            amount: {
+              type: 'number',
+              description: 'Amount to stake in TRX',
+            },
+            resource: RESOURCE_ARGUMENT,
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['amount'],
+        },
+        handler: (args) => this.getStakePreview(args),
+      },
+      {
+        name: 'get_delegated_resources',
+        description: 'List Stake 2.0 delegations an address made and received, lock expiries, pending unfreezes and how much it can still delegate',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            address: {
+              type: 'string',
+              description: 'TRON address',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum counterparties listed per direction (default: 100)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['address'],
+        },
+        handler: (args) => this.getDelegatedResources(args),
+      },
+      {
+        name: 'freeze_balance',
+        description: 'Stake TRX for energy or bandwidth (Stake 2.0 FreezeBalanceV2)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            amount: {
+              type: 'number',
+              description: 'Amount to stake in TRX',
+            },
+            resource: RESOURCE_ARGUMENT,
+            ...SIGNING_ARGUMENTS,
+          },
+          required: ['amount', 'confirm'],
+        },
+        handler: (args) => this.freezeBalance(args),
+      },
+      {
+        name: 'unfreeze_balance',
+        description: 'Unstake TRX (Stake 2.0 UnFreezeBalanceV2); it can be withdrawn after the unfreezing period',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            amount: {
+              type: 'number',
+              description: 'Amount to unstake in TRX',
+            },
+            resource: RESOURCE_ARGUMENT,
+            ...SIGNING_ARGUMENTS,
+          },
+          required: ['amount', 'confirm'],
+        },
+        handler: (args) => this.unfreezeBalance(args),
+      },
+      {
+        name: 'delegate_resource',
+        description: 'Delegate staked energy or bandwidth to another address (Stake 2.0 DelegateResource)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            receiver: {
+              type: 'string',
+              description: 'Address receiving the resource',
+            },
+            amount: {
+              type: 'number',
+              description: 'Staked TRX whose resource is delegated',
+            },
+            resource: RESOURCE_ARGUMENT,
+            lock: {
+              type: 'boolean',
+              description: 'Lock the delegation so it cannot be reclaimed early (default: false)',
+            },
+            lockPeriod: {
+              type: 'number',
+              description: 'Lock period in blocks of 3 seconds (default: node default of 3 days)',
+            },
+            ...SIGNING_ARGUMENTS,
+          },
+          required: ['receiver', 'amount', 'confirm'],
+        },
+        handler: (args) => this.delegateResource(args),
+      },
+      {
+        name: 'undelegate_resource',
+        description: 'Reclaim delegated energy or bandwidth (Stake 2.0 UnDelegateResource)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            receiver: {
+              type: 'string',
+              description: 'Address the resource was delegated to',
+            },
+            amount: {
+              type: 'number',
+              description: 'Staked TRX whose resource is reclaimed',
+            },
+            resource: RESOURCE_ARGUMENT,
+            ...SIGNING_ARGUMENTS,
+          },
+          required: ['receiver', 'amount', 'confirm'],
+        },
+        handler: (args) => this.undelegateResource(args),
+      },
+      {
+        name: 'withdraw_expire_unfreeze',
+        description: 'Withdraw unstaked TRX whose unfreezing period has passed (Stake 2.0 WithdrawExpireUnfreeze)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...SIGNING_ARGUMENTS,
+          },
+          required: ['confirm'],
+        },
+        handler: (args) => this.withdrawExpireUnfreeze(args),
+      },
+    ];
+  }
+
+  /**
+   * Resource yield of staking an amount at the current TotalEnergyWeight / TotalNetWeight
+   */
+  async getStakePreview({ amount, resource = 'ENERGY', network }) {
+    this.validateResource(resource);
+    const sun = this.toSun(amount);
+
+    try {
+      const preview = await this.previewStake(sun, resource, network);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              amount_trx: amount,
+              ...preview,
+              network: this.networks.getProfile(network).name
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to preview stake: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Delegations made and received by an address, from the public node APIs
+   */
+  async getDelegatedResources({ address, limit = 100, network }) {
+    this.validateAddress(address, 'address');
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'limit must be a positive integer'
+      );
+    }
+
+    try {
+      const [index, account, maxEnergy, maxBandwidth, withdrawable] = await Promise.all([
+        this.walletRequest('getdelegatedresourceaccountindexv2', { value: address, visible: true }, network),
+        this.walletRequest('getaccount', { address, visible: true }, network),
+        this.walletRequest('getcandelegatedmaxsize', { owner_address: address, type: 1, visible: true }, network),
+        this.walletRequest('getcandelegatedmaxsize', { owner_address: address, type: 0, visible: true }, network),
+        this.walletRequest('getcanwithdrawunfreezeamount', { owner_address: address, timestamp: Date.now(), visible: true }, network)
+      ]);
+
+      const receivers = index.toAccounts || [];
+      const delegators = index.fromAccounts || [];
+      const delegatedOut = await this.listDelegations(receivers.slice(0, limit).map(to => [address, to]), network);
+      const delegatedIn = await this.listDelegations(delegators.slice(0, limit).map(from => [from, address]), network);
+      const now = Date.now();
+
+      const response = {
+        address,
+        delegated_out: delegatedOut.map(({ from, ...entry }) => entry),
+        delegated_in: delegatedIn.map(({ to, ...entry }) => entry),
+        totals: {
+          delegated_out_trx: this.sumByResource(delegatedOut),
+          delegated_in_trx: this.sumByResource(delegatedIn)
+        },
+        can_delegate_max_trx: {
+          ENERGY: (maxEnergy.max_size || 0) / 1_000_000,
+          BANDWIDTH: (maxBandwidth.max_size || 0) / 1_000_000
+        },
+        can_withdraw_unfreeze_trx: (withdrawable.amount || 0) / 1_000_000,
+        pending_unfreeze: (account.unfrozenV2 || []).map(unfreeze => ({
+          resource: unfreeze.type || 'BANDWIDTH',
+          amount_trx: (unfreeze.unfreeze_amount || 0) / 1_000_000,
+          expires_at: new Date(unfreeze.unfreeze_expire_time).toISOString(),
+          withdrawable: unfreeze.unfreeze_expire_time <= now
+        })),
+        counterparties: { receivers: receivers.length, delegators: delegators.length },
+        truncated: receivers.length > limit || delegators.length > limit,
+        network: this.networks.getProfile(network).name,
+        source: index.source
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(response, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to get delegated resources: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * getdelegatedresourcev2 for each (from, to) pair, one entry per delegated resource
+   */
+  async listDelegations(pairs, network) {
+    const entries = [];
+
+    for (let i = 0; i < pairs.length; i += DELEGATION_BATCH_SIZE) {
+      const batch = pairs.slice(i, i + DELEGATION_BATCH_SIZE);
+      const results = await Promise.all(batch.map(([fromAddress, toAddress]) =>
+        this.walletRequest('getdelegatedresourcev2', { fromAddress, toAddress, visible: true }, network)
+      ));
+
+      for (const result of results) {
+        for (const delegation of result.delegatedResource || []) {
+          entries.push(...this.formatDelegation(delegation));
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Split a delegatedResource record into its energy and bandwidth parts
+   * expire_time_for_* is the end of the lock; 0 or a past time means it can be reclaimed now.
+   */
+  formatDelegation(delegation) {
+    const now = Date.now();
+    const parts = [
+      ['ENERGY', delegation.frozen_balance_for_energy, delegation.expire_time_for_energy],
+      ['BANDWIDTH', delegation.frozen_balance_for_bandwidth, delegation.expire_time_for_bandwidth]
+    ];
+
+    return parts
+      .filter(([, balance]) => balance > 0)
+      .map(([resource, balance, expireTime]) => ({
+        from: delegation.from,
+        to: delegation.to,
+        resource,
+        amount_trx: balance / 1_000_000,
+        locked: Boolean(expireTime && expireTime > now),
+        lock_expires_at: expireTime ? new Date(expireTime).toISOString() : null
+      }));
+  }
+
+  sumByResource(entries) {
+    const totals = { ENERGY: 0, BANDWIDTH: 0 };
+    for (const entry of entries) {
+      totals[entry.resource] += entry.amount_trx;
+    }
+    return totals;
+  }
+
+  /**
+   * POST a wallet/* endpoint on the node, falling back to TronGrid
+   */
+  async walletRequest(endpoint, data, network) {
+    const tronWeb = this.networks.getTronWeb(network);
+
+    return await this.executeWithFallback({
+      tronweb: async () => await tronWeb.fullNode.request(`wallet/${endpoint}`, data, 'post'),
+      trongrid: async () => {
+        const result = await this.trongridApiCall({
+          endpoint: `/wallet/${endpoint}`,
+          method: 'POST',
+          data,
+          network
+        });
+        return JSON.parse(result.content[0].text).result;
+      },
+      tronscan: async () => {
+        throw new UnsupportedSourceError('TronScan API does not support Stake 2.0 delegation queries');
+      }
+    }, endpoint, network);
+  }
+
+  /**
+   * Stake TRX for a resource
+   */
+  async freezeBalance({ amount, resource = 'ENERGY', privateKey, confirm }) {
+    this.validateResource(resource);
+    const sun = this.toSun(amount);
+    requireConfirmedSend(this.tronWeb, confirm, privateKey, 'freeze_balance');
+    const owner = getOwnerAddress(this.tronWeb, privateKey);
+
+    try {
+      const preview = await this.previewStake(sun, resource).catch(error => {
+        console.error('[TRON-MCP] Stake preview failed:', error.message);
+        return null;
+      });
+      const result = await this.sendStakeTransaction({
+        tronweb: () => this.tronWeb.transactionBuilder.freezeBalanceV2(sun, resource, owner),
+        trongrid: {
+          endpoint: '/wallet/freezebalancev2',
+          data: { owner_address: owner, frozen_balance: sun, resource }
+        }
+      }, 'freezeBalance', privateKey);
+
+      return this.formatResult(result, { type: 'FreezeBalanceV2', owner, amount_trx: amount, resource, expected: preview });
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to freeze balance: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Unstake TRX; it becomes withdrawable after the network's unfreezing period
+   */
+  async unfreezeBalance({ amount, resource = 'ENERGY', privateKey, confirm }) {
+    this.validateResource(resource);
+    const sun = this.toSun(amount);
+    requireConfirmedSend(this.tronWeb, confirm, privateKey, 'unfreeze_balance');
+    const owner = getOwnerAddress(this.tronWeb, privateKey);
+
+    try {
+      const result = await this.sendStakeTransaction({
+        tronweb: () => this.tronWeb.transactionBuilder.unfreezeBalanceV2(sun, resource, owner),
+        trongrid: {
+          endpoint: '/wallet/unfreezebalancev2',
+          data: { owner_address: owner, unfreeze_balance: sun, resource }
+        }
+      }, 'unfreezeBalance', privateKey);
+
+      return this.formatResult(result, {
+        type: 'UnFreezeBalanceV2',
+        owner,
+        amount_trx: amount,
+        resource,
+        note: 'Withdraw the TRX with withdraw_expire_unfreeze once the unfreezing period has passed'
+      });
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to unfreeze balance: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Delegate staked resource to another address
+   */
+  async delegateResource({ receiver, amount, resource = 'ENERGY', lock = false, lockPeriod, privateKey, confirm }) {
+    this.validateResource(resource);
+    this.validateAddress(receiver, 'receiver address');
+    if (lockPeriod !== undefined && (!lock || !Number.isInteger(lockPeriod) || lockPeriod <= 0)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'lockPeriod must be a positive number of blocks and requires lock: true'
+      );
+    }
+    const sun = this.toSun(amount);
+    requireConfirmedSend(this.tronWeb, confirm, privateKey, 'delegate_resource');
+    const owner = getOwnerAddress(this.tronWeb, privateKey);
+
+    const data = { owner_address: owner, receiver_address: receiver, balance: sun, resource, lock };
+    if (lockPeriod !== undefined) {
+      data.lock_period = lockPeriod;
+    }
+
+    try {
+      const result = await this.sendStakeTransaction({
+        tronweb: () => this.tronWeb.transactionBuilder.delegateResource(sun, receiver, resource, owner, lock, lockPeriod),
+        trongrid: { endpoint: '/wallet/delegateresource', data }
+      }, 'delegateResource', privateKey);
+
+      return this.formatResult(result, {
+        type: 'DelegateResource',
+        owner,
+        receiver,
+        amount_trx: amount,
+        resource,
+        lock,
+        lockPeriod: lockPeriod ?? null
+      });
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to delegate resource: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Reclaim a delegation
+   */
+  async undelegateResource({ receiver, amount, resource = 'ENERGY', privateKey, confirm }) {
+    this.validateResource(resource);
+    this.validateAddress(receiver, 'receiver address');
+    const sun = this.toSun(amount);
+    requireConfirmedSend(this.tronWeb, confirm, privateKey, 'undelegate_resource');
+    const owner = getOwnerAddress(this.tronWeb, privateKey);
+
+    try {
+      const result = await this.sendStakeTransaction({
+        tronweb: () => this.tronWeb.transactionBuilder.undelegateResource(sun, receiver, resource, owner),
+        trongrid: {
+          endpoint: '/wallet/undelegateresource',
+          data: { owner_address: owner, receiver_address: receiver, balance: sun, resource }
+        }
+      }, 'undelegateResource', privateKey);
+
+      return this.formatResult(result, { type: 'UnDelegateResource', owner, receiver, amount_trx: amount, resource });
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to undelegate resource: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Withdraw unstaked TRX whose unfreezing period has passed
+   */
+  async withdrawExpireUnfreeze({ privateKey, confirm }) {
+    requireConfirmedSend(this.tronWeb, confirm, privateKey, 'withdraw_expire_unfreeze');
+    const owner = getOwnerAddress(this.tronWeb, privateKey);
+
+    try {
+      const result = await this.sendStakeTransaction({
+        tronweb: () => this.tronWeb.transactionBuilder.withdrawExpireUnfreeze(owner),
+        trongrid: {
+          endpoint: '/wallet/withdrawexpireunfreeze',
+          data: { owner_address: owner }
+        }
+      }, 'withdrawExpireUnfreeze', privateKey);
+
+      return this.formatResult(result, { type: 'WithdrawExpireUnfreeze', owner });
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to withdraw expired unfreeze: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Energy / bandwidth per staked TRX from the network totals
+   * The staked amount itself raises the total weight, so `after_stake` is what the owner gets.
+   */
+  async previewStake(sun, resource, network) {
+    const tronWeb = this.networks.getTronWeb(network);
+    const totals = await this.executeWithFallback({
+      tronweb: async () => await tronWeb.trx.getAccountResources(tronWeb.defaultAddress.base58),
+      trongrid: async () => {
+        const result = await this.trongridApiCall({
+          endpoint: '/wallet/getaccountresource',
+          method: 'POST',
+          data: { address: tronWeb.defaultAddress.base58, visible: true },
+          network
+        });
+        return JSON.parse(result.content[0].text).result;
+      },
+      tronscan: async () => {
+        throw new UnsupportedSourceError('TronScan API does not provide network resource weights');
+      }
+    }, 'previewStake', network);
+
+    const isEnergy = resource === 'ENERGY';
+    const totalLimit = isEnergy ? totals.TotalEnergyLimit : totals.TotalNetLimit;
+    const totalWeight = isEnergy ? totals.TotalEnergyWeight : totals.TotalNetWeight;
+    if (!totalLimit || !totalWeight) {
+      throw new Error(`Node did not return Total${isEnergy ? 'Energy' : 'Net'}Limit / Weight`);
+    }
+
+    // Weights are counted in whole TRX
+    const stakedTrx = sun / 1_000_000;
+    return {
+      resource,
+      per_trx: totalLimit / totalWeight,
+      daily_amount: Math.floor(stakedTrx * totalLimit / totalWeight),
+      daily_amount_after_stake: Math.floor(stakedTrx * totalLimit / (totalWeight + stakedTrx)),
+      total_limit: totalLimit,
+      total_weight: totalWeight,
+      source: totals.source
+    };
+  }
+
+  /**
+   * Build, sign and broadcast a Stake 2.0 transaction on the default network
+   * Any source may build it, but it is signed once and a fallback only rebroadcasts that same
+   * transaction, so a source failing after the network accepted it cannot stake or delegate twice.
+   */
+  async sendStakeTransaction(operations, operationName, privateKey) {
+    const { transaction } = await this.executeWithFallback({
+      tronweb: async () => ({ transaction: await operations.tronweb() }),
+      trongrid: async () => {
+        const built = await this.trongridApiCall({
+          endpoint: operations.trongrid.endpoint,
+          method: 'POST',
+          data: { ...operations.trongrid.data, visible: true }
+        });
+        const transaction = JSON.parse(built.content[0].text).result;
+        if (!transaction?.raw_data) {
+          throw new Error(transaction?.Error || 'TronGrid did not return a transaction to sign');
+        }
+        return { transaction };
+      },
+      tronscan: async () => {
+        throw new UnsupportedSourceError('TronScan API does not support building transactions - read-only API');
+      }
+    }, operationName);
+
+    const signedTx = await this.tronWeb.trx.sign(transaction, privateKey);
+    return await broadcastTransaction(signedTx, {
+      tronWeb: this.tronWeb,
+      trongridApiCall: this.trongridApiCall,
+      executeWithFallback: this.executeWithFallback,
+      operationName
+    });
+  }
+
+  formatResult(result, details) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            txid: result.txid,
+            status: 'broadcast',
+            ...details,
+            network: this.networks.defaultNetwork,
+            source: result.source
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  validateResource(resource) {
+    if (!['ENERGY', 'BANDWIDTH'].includes(resource)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid resource '${resource}' (expected ENERGY or BANDWIDTH)`
+      );
+    }
+  }
+
+  validateAddress(address, field) {
+    if (!this.tronWeb.isAddress(address)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid ${field}: ${address}`
+      );
+    }
+  }
+
+  toSun(amount) {
+    const sun = typeof amount === 'number' && amount > 0 ? Number(this.tronWeb.toSun(amount)) : NaN;
+    if (!Number.isInteger(sun)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `amount must be a positive number of TRX with at most 6 decimals, got ${amount}`
+      );
+    }
+    return sun;
+  }
+}
@@ -0,0 +1,785 @@
+/**
+ * Transaction Module for TRON MCP Server
+ * Builds unsigned transactions for offline signing and broadcasts
+ * externally signed transactions after verifying who signed them
+ */
+
+import crypto from 'crypto';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { NETWORK_ARGUMENT } from '../../network-profiles.js';
+import { UnsupportedSourceError } from '../../provider-health.js';
+import { decodeMessage, diagnoseTransaction } from '../../failure-diagnostics.js';
+import { broadcastTransaction, nodeRequest, pollTransactionInfo } from '../../transaction-sending.js';
+import { toBase58 } from '../../normalizers.js';
+
+// The node refuses expirations more than 24 hours after the reference block
+const MAX_EXPIRATION_SECONDS = 24 * 60 * 60;
+
+// Longest wait_for_transaction call; solidification normally takes about a minute
+const MAX_WAIT_SECONDS = 600;
+const WAIT_STAGES = ['included', 'solidified'];
+
+export class TransactionModule {
+  constructor(tronWeb, trongridApiCall, executeWithFallback, networks) {
+    if (!tronWeb) {
+      throw new Error('TransactionModule requires tronWeb instance');
+    }
+    if (!networks) {
+      throw new Error('TransactionModule requires network profiles');
+    }
+    this.tronWeb = tronWeb;
+    this.trongridApiCall = trongridApiCall;
+    this.executeWithFallback = executeWithFallback;
+    this.networks = networks;
+  }
+
+  /**
+   * Tool definitions registered by this module
+   */
+  getTools() {
+    const buildOptions = {
+      memo: {
+        type: 'string',
+        description: 'Memo stored in the transaction data field (optional)',
+      },
+      expiresIn: {
+        type: 'number',
+        description: 'Seconds until the transaction expires, up to 86400 (default: node default of 60)',
+      },
+      network: NETWORK_ARGUMENT,
+    };
+
+    return [
+      {
+        name: 'build_trx_transfer',
+        description: 'Build an unsigned TRX transfer for offline signing',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            from: {
+              type: 'string',
+              description: 'Sender TRON address (the signer)',
+            },
+            to: {
+              type: 'string',
+              description: 'Recipient TRON address',
+            },
+            amount: {
+              type: 'number',
+              description: 'Amount in TRX',
+            },
+            ...buildOptions,
+          },
+          required: ['from', 'to', 'amount'],
+        },
+        handler: (args) => this.buildTrxTransfer(args),
+      },
+      {
+        name: 'build_trc20_transfer',
+        description: 'Build an unsigned TRC20 transfer(address,uint256) call for offline signing',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            from: {
+              type: 'string',
+              description: 'Sender TRON address (the signer)',
+            },
+            contractAddress: {
+              type: 'string',
+              description: 'TRC20 token contract address',
+            },
+            to: {
+              type: 'string',
+              description: 'Recipient TRON address',
+            },
+            amount: {
+              type: 'string',
+              description: 'Amount in token base units (integer string, not scaled by decimals)',
+            },
+            feeLimit: {
+              type: 'number',
+              description: 'Maximum TRX burned for energy, in SUN',
+            },
+            ...buildOptions,
+          },
+          required: ['from', 'contractAddress', 'to', 'amount', 'feeLimit'],
+        },
+        handler: (args) => this.buildTrc20Transfer(args),
+      },
+      {
+        name: 'build_stake_transaction',
+        description: 'Build an unsigned Stake 2.0 freeze or unfreeze transaction for offline signing',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            owner: {
+              type: 'string',
+              description: 'Staking TRON address (the signer)',
+            },
+            action: {
+              type: 'string',
+              description: 'freeze or unfreeze',
+              enum: ['freeze', 'unfreeze'],
+            },
+            amount: {
+              type: 'number',
+              description: 'Amount in TRX',
+            },
+            resource: {
+              type: 'string',
+              description: 'Resource to stake for: ENERGY or BANDWIDTH (default: ENERGY)',
+              enum: ['ENERGY', 'BANDWIDTH'],
+            },
+            ...buildOptions,
+          },
+          required: ['owner', 'action', 'amount'],
+        },
+        handler: (args) => this.buildStakeTransaction(args),
+      },
+      {
+        name: 'build_vote_transaction',
+        description: 'Build an unsigned vote for super representatives for offline signing',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            owner: {
+              type: 'string',
+              description: 'Voting TRON address (the signer)',
+            },
+            votes: {
+              type: 'object',
+              description: 'Votes per super representative, e.g. {"TXyz...": 100}; replaces all previous votes',
+            },
+            ...buildOptions,
+          },
+          required: ['owner', 'votes'],
+        },
+        handler: (args) => this.buildVoteTransaction(args),
+      },
+      {
+        name: 'broadcast_signed_transaction',
+        description: 'Verify an externally signed transaction (integrity, expiration, signer) and broadcast it',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            transaction: {
+              type: 'object',
+              description: 'Signed transaction JSON with txID, raw_data, raw_data_hex and signature',
+            },
+            expectedOwner: {
+              type: 'string',
+              description: 'Address that must own and have signed the transaction (optional)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['transaction'],
+        },
+        handler: (args) => this.broadcastSignedTransaction(args),
+      },
+      {
+        name: 'wait_for_transaction',
+        description: 'Wait until a transaction is included in a block and then solidified, and return its receipt (result, energy, fees, failure diagnostics)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            txid: {
+              type: 'string',
+              description: 'Transaction id (64 hex characters), e.g. from send_trx',
+            },
+            waitFor: {
+              type: 'string',
+              enum: WAIT_STAGES,
+              description: 'Stop once the transaction is included in a block, or once that block is solidified (default: solidified)',
+            },
+            timeout: {
+              type: 'number',
+              description: `Seconds to wait, up to ${MAX_WAIT_SECONDS} (default: 120)`,
+            },
+            pollInterval: {
+              type: 'number',
+              description: 'Seconds between checks (default: 3, one block)',
+            },
+            network: NETWORK_ARGUMENT,
+          },
+          required: ['txid'],
+        },
+        handler: (args, context) => this.waitForTransaction(args, context),
+      },
+    ];
+  }
+
+  /**
+   * Build an unsigned TRX transfer
+   */
+  async buildTrxTransfer({ from, to, amount, memo, expiresIn, network }) {
+    const tronWeb = this.networks.getTronWeb(network);
+    this.requireAddress(tronWeb, from, 'from');
+    this.requireAddress(tronWeb, to, 'to');
+    const sun = this.toSun(tronWeb, amount);
+
+    return await this.buildTransaction({
+      tronweb: () => tronWeb.transactionBuilder.sendTrx(to, sun, from),
+      trongrid: {
+        endpoint: '/wallet/createtransaction',
+        data: {
+          owner_address: tronWeb.address.toHex(from),
+          to_address: tronWeb.address.toHex(to),
+          amount: sun
+        }
+      }
+    }, 'buildTrxTransfer', { type: 'TRX transfer', owner: from, memo, expiresIn, network });
+  }
+
+  /**
+   * Build an unsigned TRC20 transfer
+   */
+  async buildTrc20Transfer({ from, contractAddress, to, amount, feeLimit, memo, expiresIn, network }) {
+    const tronWeb = this.networks.getTronWeb(network);
+    this.requireAddress(tronWeb, from, 'from');
+    if (!Number.isInteger(feeLimit) || feeLimit <= 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'feeLimit (SUN) is required and must be a positive integer'
+      );
+    }
+
+    const contractAbi = this.networks.getContractAbi(network);
+    const parameters = [to, String(amount)];
+    const fn = await contractAbi.resolveFunction(contractAddress, 'transfer(address,uint256)', parameters);
+    const rawParameter = contractAbi.encodeParameters(fn, parameters);
+
+    return await this.buildTransaction({
+      tronweb: async () => {
+        const { transaction } = await tronWeb.transactionBuilder.triggerSmartContract(
+          contractAddress,
+          fn.signature,
+          { feeLimit, rawParameter },
+          [],
+          from
+        );
+        return transaction;
+      },
+      trongrid: {
+        endpoint: '/wallet/triggersmartcontract',
+        data: {
+          owner_address: tronWeb.address.toHex(from),
+          contract_address: tronWeb.address.toHex(contractAddress),
+          function_selector: fn.signature,
+          parameter: rawParameter,
+          fee_limit: feeLimit
+        }
+      }
+    }, 'buildTrc20Transfer', { type: 'TRC20 transfer', owner: from, memo, expiresIn, network });
+  }
+
+  /**
+   * Build an unsigned Stake 2.0 freeze / unfreeze
+   */
+  async buildStakeTransaction({ owner, action, amount, resource = 'ENERGY', memo, expiresIn, network }) {
+    const tronWeb = this.networks.getTronWeb(network);
+    this.requireAddress(tronWeb, owner, 'owner');
+    if (!['ENERGY', 'BANDWIDTH'].includes(resource)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid resource '${resource}' (expected ENERGY or BANDWIDTH)`
+      );
+    }
+    const sun = this.toSun(tronWeb, amount);
+
+    let operations;
+    if (action === 'freeze') {
+      operations = {
+        tronweb: () => tronWeb.transactionBuilder.freezeBalanceV2(sun, resource, owner),
+        trongrid: {
+          endpoint: '/wallet/freezebalancev2',
+          data: { owner_address: tronWeb.address.toHex(owner), frozen_balance: sun, resource }
+        }
+      };
+    } else if (action === 'unfreeze') {
+      operations = {
+        tronweb: () => tronWeb.transactionBuilder.unfreezeBalanceV2(sun, resource, owner),
+        trongrid: {
+          endpoint: '/wallet/unfreezebalancev2',
+          data: { owner_address: tronWeb.address.toHex(owner), unfreeze_balance: sun, resource }
+        }
+      };
+    } else {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid action '${action}' (expected freeze or unfreeze)`
+      );
+    }
+
+    return await this.buildTransaction(operations, 'buildStakeTransaction', {
+      type: `${action} ${resource}`,
+      owner,
+      memo,
+      expiresIn,
+      network
+    });
+  }
+
+  /**
+   * Build an unsigned vote for super representatives
+   */
+  async buildVoteTransaction({ owner, votes, memo, expiresIn, network }) {
+    const tronWeb = this.networks.getTronWeb(network);
+    this.requireAddress(tronWeb, owner, 'owner');
+
+    const entries = Object.entries(votes || {});
+    if (entries.length === 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'votes must map at least one super representative address to a vote count'
+      );
+    }
+    for (const [address, count] of entries) {
+      this.requireAddress(tronWeb, address, 'votes');
+      if (!Number.isInteger(count) || count <= 0) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Vote count for ${address} must be a positive integer`
+        );
+      }
+    }
+
+    return await this.buildTransaction({
+      tronweb: () => tronWeb.transactionBuilder.vote(Object.fromEntries(entries), owner),
+      trongrid: {
+        endpoint: '/wallet/votewitnessaccount',
+        data: {
+          owner_address: tronWeb.address.toHex(owner),
+          votes: entries.map(([address, count]) => ({
+            vote_address: tronWeb.address.toHex(address),
+            vote_count: count
+          }))
+        }
+      }
+    }, 'buildVoteTransaction', { type: 'vote', owner, memo, expiresIn, network });
+  }
+
+  /**
+   * Build a transaction through the node (TronGrid fallback), apply memo / expiration
+   * and return it in the form offline signers expect
+   * Both sources are asked for hex addresses so raw_data can be re-serialized locally.
+   */
+  async buildTransaction(operations, operationName, { type, owner, memo, expiresIn, network }) {
+    if (expiresIn !== undefined && (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > MAX_EXPIRATION_SECONDS)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `expiresIn must be a whole number of seconds between 1 and ${MAX_EXPIRATION_SECONDS}`
+      );
+    }
+    const tronWeb = this.networks.getTronWeb(network);
+
+    try {
+      const built = await this.executeWithFallback({
+        tronweb: async () => ({ transaction: await operations.tronweb() }),
+        trongrid: async () => {
+          const response = await this.trongridApiCall({
+            endpoint: operations.trongrid.endpoint,
+            method: 'POST',
+            data: operations.trongrid.data,
+            network
+          });
+          const result = JSON.parse(response.content[0].text).result;
+          // Builders return either the transaction itself or { transaction } for contract calls
+          const transaction = result?.transaction || result;
+          if (!transaction?.raw_data) {
+            throw new Error(result?.Error || 'TronGrid did not return a transaction');
+          }
+          return { transaction };
+        },
+        tronscan: async () => {
+          throw new UnsupportedSourceError('TronScan API does not support building transactions - read-only API');
+        }
+      }, operationName, network);
+
+      const transaction = this.applyOptions(tronWeb, built.transaction, { memo, expiresIn });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              type,
+              owner,
+              txID: transaction.txID,
+              raw_data_hex: transaction.raw_data_hex,
+              transaction,
+              expiration: new Date(transaction.raw_data.expiration).toISOString(),
+              network: this.networks.getProfile(network).name,
+              source: built.source,
+              note: 'Unsigned. Sign txID with the owner key, add it to transaction.signature and pass the result to broadcast_signed_transaction before it expires.'
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to build transaction: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Set memo and expiration on an unsigned transaction and recompute raw_data_hex / txID locally
+   */
+  applyOptions(tronWeb, transaction, { memo, expiresIn }) {
+    if (!memo && !expiresIn) {
+      return transaction;
+    }
+
+    const rawData = { ...transaction.raw_data };
+    if (memo) {
+      rawData.data = Buffer.from(memo, 'utf8').toString('hex');
+    }
+    if (expiresIn) {
+      rawData.expiration = rawData.timestamp + expiresIn * 1000;
+    }
+
+    const updated = { ...transaction, raw_data: rawData };
+    const pb = tronWeb.utils.transaction.txJsonToPb(updated);
+    updated.raw_data_hex = tronWeb.utils.transaction.txPbToRawDataHex(pb);
+    updated.txID = tronWeb.utils.transaction.txPbToTxID(pb).replace(/^0x/, '');
+    return updated;
+  }
+
+  /**
+   * Verify an externally signed transaction and broadcast it
+   */
+  async broadcastSignedTransaction({ transaction, expectedOwner, network }) {
+    const tronWeb = this.networks.getTronWeb(network);
+    const signedTx = typeof transaction === 'string' ? this.parseTransaction(transaction) : transaction;
+    const verification = await this.verifySignedTransaction(tronWeb, signedTx, expectedOwner, network);
+
+    try {
+      const broadcast = await broadcastTransaction(signedTx, {
+        tronWeb,
+        trongridApiCall: this.trongridApiCall,
+        executeWithFallback: this.executeWithFallback,
+        operationName: 'broadcastSignedTransaction',
+        network
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              txid: broadcast.txid,
+              status: 'broadcast',
+              ...verification,
+              network: this.networks.getProfile(network).name,
+              source: broadcast.source
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to broadcast transaction: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Wait for a transaction to be included and then solidified
+   * Polls gettransactioninfobyid on the full node, then on the solidity node.
+   * Progress is reported as 1 when included and 2 when solidified, creeping
+   * between the two as the solidified head approaches the transaction's block.
+   */
+  async waitForTransaction({ txid, waitFor = 'solidified', timeout = 120, pollInterval = 3, network }, { reportProgress } = {}) {
+    if (typeof txid !== 'string' || !/^[0-9a-fA-F]{64}$/.test(txid)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `txid must be 64 hex characters, got ${txid}`
+      );
+    }
+    if (!WAIT_STAGES.includes(waitFor)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `waitFor must be one of: ${WAIT_STAGES.join(', ')}`
+      );
+    }
+    if (typeof timeout !== 'number' || !(timeout > 0) || timeout > MAX_WAIT_SECONDS) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `timeout must be between 1 and ${MAX_WAIT_SECONDS} seconds, got ${timeout}`
+      );
+    }
+
+    const startTime = Date.now();
+    const deadline = startTime + timeout * 1000;
+    const total = waitFor === 'solidified' ? 2 : 1;
+    let progress = -1;
+    const report = async (value) => {
+      if (value > progress && reportProgress) {
+        progress = value;
+        await reportProgress(value, total);
+      }
+    };
+
+    try {
+      await report(0);
+      let startSolidifiedBlock = null;
+      const { info, solidifiedInfo, solidifiedBlock, lastError } = await pollTransactionInfo(txid, {
+        ...this.getSendClients(network),
+        waitFor,
+        deadline,
+        pollIntervalMs: pollInterval * 1000,
+        onProgress: async ({ info, solidifiedInfo, solidifiedBlock }) => {
+          if (solidifiedInfo) {
+            await report(2);
+          } else if (info) {
+            await report(1);
+            if (solidifiedBlock !== null) {
+              startSolidifiedBlock ??= solidifiedBlock;
+              const span = info.blockNumber - startSolidifiedBlock;
+              if (span > 0) {
+                await report(1 + Math.min(0.95, (solidifiedBlock - startSolidifiedBlock) / span));
+              }
+            }
+          }
+        }
+      });
+
+      const status = solidifiedInfo ? 'solidified' : info ? 'included' : 'pending';
+      const response = {
+        txid,
+        status,
+        waited_for: waitFor,
+        timed_out: WAIT_STAGES.indexOf(status) < WAIT_STAGES.indexOf(waitFor),
+        waited_ms: Date.now() - startTime,
+        network: this.networks.getProfile(network).name,
+      };
+
+      if (info) {
+        response.block_number = info.blockNumber;
+        response.block_timestamp = info.blockTimeStamp;
+        if (solidifiedBlock !== null) {
+          response.solidified_block = solidifiedBlock;
+        }
+        Object.assign(response, this.summarizeReceipt(solidifiedInfo || info));
+      }
+      if (response.timed_out) {
+        response.note = `Not ${waitFor} within ${timeout}s; call again to keep waiting`;
+        if (lastError) {
+          response.last_error = lastError;
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(response, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Failed to wait for transaction: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Outcome and cost of a transaction from its info (gettransactioninfobyid)
+   */
+  summarizeReceipt(info) {
+    const receipt = info.receipt || {};
+    const contractResult = info.contractResult?.[0] || null;
+    // Plain transfers have no receipt result; failed system contracts set info.result
+    const result = receipt.result || (info.result === 'FAILED' ? 'FAILED' : 'SUCCESS');
+
+    return {
+      result,
+      energy_used: receipt.energy_usage_total || 0,
+      energy_fee: receipt.energy_fee || 0,
+      net_usage: receipt.net_usage || 0,
+      net_fee: receipt.net_fee || 0,
+      fee: info.fee || 0,
+      contract_result: contractResult,
+      res_message: decodeMessage(info.resMessage),
+      failure: diagnoseTransaction(info),
+    };
+  }
+
+  /**
+   * What the shared send helpers (transaction-sending.js) need for a network
+   */
+  getSendClients(network) {
+    return {
+      tronWeb: this.networks.getTronWeb(network),
+      trongridApiCall: this.trongridApiCall,
+      executeWithFallback: this.executeWithFallback,
+      network
+    };
+  }
+
+  /**
+   * POST to a wallet/ or walletsolidity/ endpoint of the node, falling back to TronGrid
+   */
+  async nodeRequest(path, data, network) {
+    return await nodeRequest(path, data, this.getSendClients(network));
+  }
+
+  parseTransaction(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `transaction is not valid JSON: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Check a signed transaction before it leaves the server:
+   * txID is the hash of raw_data_hex, raw_data matches raw_data_hex, it has not expired
+   * and the recovered signer is the owner (and the expected owner, when given); under another
+   * permission, every signer must be a key of the owner's active permission with that id
+   */
+  async verifySignedTransaction(tronWeb, transaction, expectedOwner, network) {
+    const reject = (message) => {
+      throw new McpError(ErrorCode.InvalidParams, `Refusing to broadcast: ${message}`);
+    };
+
+    if (!transaction?.raw_data || !transaction.raw_data_hex || !transaction.txID) {
+      reject('transaction must include txID, raw_data and raw_data_hex');
+    }
+    if (!Array.isArray(transaction.signature) || transaction.signature.length === 0) {
+      reject('transaction is not signed');
+    }
+
+    const hash = crypto.createHash('sha256').update(Buffer.from(transaction.raw_data_hex, 'hex')).digest('hex');
+    if (hash !== transaction.txID.toLowerCase()) {
+      reject('txID is not the hash of raw_data_hex');
+    }
+
+    let serialized;
+    try {
+      const pb = tronWeb.utils.transaction.txJsonToPb(this.toHexAddresses(tronWeb, transaction));
+      serialized = tronWeb.utils.transaction.txPbToRawDataHex(pb);
+    } catch (error) {
+      reject(`cannot serialize raw_data to check it against raw_data_hex (${error.message})`);
+    }
+    if (serialized.toLowerCase() !== transaction.raw_data_hex.toLowerCase()) {
+      reject('raw_data does not match raw_data_hex');
+    }
+
+    const expiration = transaction.raw_data.expiration;
+    if (expiration <= Date.now()) {
+      reject(`transaction expired at ${new Date(expiration).toISOString()}`);
+    }
+
+    const contract = transaction.raw_data.contract?.[0];
+    const ownerHex = contract?.parameter?.value?.owner_address;
+    if (!ownerHex) {
+      reject('raw_data has no owner_address');
+    }
+    const owner = tronWeb.address.fromHex(ownerHex);
+
+    let signers;
+    try {
+      signers = transaction.signature.map(signature =>
+        tronWeb.address.fromHex(tronWeb.utils.crypto.ecRecover(transaction.txID, signature))
+      );
+    } catch (error) {
+      reject(`cannot recover signer (${error.message})`);
+    }
+
+    const permissionId = contract.Permission_id || 0;
+    if (permissionId === 0 && !signers.includes(owner)) {
+      reject(`signed by ${signers.join(', ')}, but the owner is ${owner}`);
+    }
+    if (expectedOwner && owner !== expectedOwner) {
+      reject(`transaction owner ${owner} is not the expected owner ${expectedOwner}`);
+    }
+    if (permissionId !== 0) {
+      let account;
+      try {
+        account = await this.nodeRequest('wallet/getaccount', { address: owner, visible: true }, network);
+      } catch (error) {
+        reject(`cannot look up permission ${permissionId} of ${owner} (${error.message})`);
+      }
+      const permission = (account?.active_permission || []).find(item => (item.id || 0) === permissionId);
+      if (!permission) {
+        reject(`${owner} has no active permission ${permissionId}`);
+      }
+      const weights = new Map((permission.keys || []).map(key => [toBase58(key.address), Number(key.weight) || 0]));
+      const strangers = signers.filter(signer => !weights.has(signer));
+      if (strangers.length > 0) {
+        reject(`${strangers.join(', ')} is not a key of permission ${permissionId} (${permission.permission_name || 'active'}) of ${owner}`);
+      }
+      const weight = [...new Set(signers)].reduce((sum, signer) => sum + weights.get(signer), 0);
+      if (weight < Number(permission.threshold || 1)) {
+        reject(`signatures weigh ${weight}, permission ${permissionId} of ${owner} needs ${permission.threshold}`);
+      }
+    }
+
+    return {
+      owner,
+      signers,
+      permissionId,
+      contractType: contract.type,
+      expiration: new Date(expiration).toISOString()
+    };
+  }
+
+  /**
+   * Copy of a visible (base58) transaction with addresses as hex, for protobuf serialization
+   */
+  toHexAddresses(tronWeb, transaction) {
+    if (!transaction.visible) {
+      return transaction;
+    }
+
+    const convert = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(convert);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, convert(item)]));
+      }
+      if (typeof value === 'string' && value.startsWith('T') && tronWeb.isAddress(value)) {
+        return tronWeb.address.toHex(value);
+      }
+      return value;
+    };
+
+    return { ...transaction, visible: false, raw_data: convert(transaction.raw_data) };
+  }
+
+  requireAddress(tronWeb, address, field) {
+    if (!tronWeb.isAddress(address)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid ${field} address: ${address}`
+      );
+    }
+  }
+
+  toSun(tronWeb, amount) {
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `amount must be a positive number of TRX, got ${amount}`
+      );
+    }
+    const sun = Number(tronWeb.toSun(amount));
+    if (!Number.isInteger(sun)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `amount has more than 6 decimals: ${amount}`
+      );
+    }
+    return sun;
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Network Profiles for TRON MCP Server
+ * Resolves mainnet / shasta / nile endpoints from config/tron-config.js
+ * and hands out one TronWeb and TronScan client per network
+ */
+
+import TronWeb from 'tronweb';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { NETWORKS, CONTRACT_ADDRESSES, KNOWN_CONTRACTS, DEFAULT_NETWORK } from '../config/tron-config.js';
+import { TronScanAPI } from './tronscan.js';
+import { ContractAbi } from './contract-abi.js';
+import { applyRequestPolicy } from './request-policy.js';
+import { applyApiKeyRotation, getApiKeyPool, isTronGridHost } from './api-keys.js';
+
+export class NetworkProfiles {
+  /**
+   * @param {Object} options
+   * @param {Object} options.env - Environment to read NETWORK and node URL overrides from
+   * @param {string} options.readOnlyAddress - Owner address used for constant calls when no key is loaded
+   */
+  constructor({ env = process.env, readOnlyAddress = null } = {}) {
+    this.env = env;
+    this.readOnlyAddress = readOnlyAddress;
+    this.defaultNetwork = (env.NETWORK || DEFAULT_NETWORK).toLowerCase();
+
+    if (!NETWORKS[this.defaultNetwork]) {
+      throw new Error(`Unknown NETWORK '${env.NETWORK}' (expected one of: ${this.getNetworkNames().join(', ')})`);
+    }
+
+    this.profiles = new Map();
+    this.tronWebs = new Map();
+    this.tronScanAPIs = new Map();
+    this.contractAbis = new Map();
+  }
+
+  getNetworkNames() {
+    return Object.keys(NETWORKS);
+  }
+
+  /**
+   * Resolve a network name (or the default) to its profile
+   * FULL_NODE_URL / SOLIDITY_NODE_URL / EVENT_SERVER_URL only override the default network,
+   * so a private node never receives requests meant for another chain.
+   */
+  getProfile(network) {
+    const name = (network || this.defaultNetwork).toLowerCase();
+
+    if (!NETWORKS[name]) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown network '${network}' (expected one of: ${this.getNetworkNames().join(', ')})`
+      );
+    }
+
+    if (!this.profiles.has(name)) {
+      const base = NETWORKS[name];
+      const isDefault = name === this.defaultNetwork;
+
+      this.profiles.set(name, {
+        name,
+        isDefault,
+        fullNode: (isDefault && this.env.FULL_NODE_URL) || base.fullNode,
+        solidityNode: (isDefault && this.env.SOLIDITY_NODE_URL) || base.solidityNode,
+        eventServer: (isDefault && this.env.EVENT_SERVER_URL) || base.eventServer,
+        tronScan: base.tronScan,
+        tronScanApi: base.tronScanApi,
+        contracts: CONTRACT_ADDRESSES[name] || {},
+        knownContracts: KNOWN_CONTRACTS[name] || {}
+      });
+    }
+
+    return this.profiles.get(name);
+  }
+
+  /**
+   * TronWeb instance bound to a network's nodes (cached per network)
+   */
+  getTronWeb(network) {
+    const profile = this.getProfile(network);
+
+    if (!this.tronWebs.has(profile.name)) {
+      const HttpProvider = TronWeb.providers.HttpProvider;
+      const tronWeb = new TronWeb(
+        new HttpProvider(profile.fullNode),
+        new HttpProvider(profile.solidityNode),
+        new HttpProvider(profile.eventServer)
+      );
+
+      if (this.readOnlyAddress) {
+        tronWeb.setAddress(this.readOnlyAddress);
+      }
+      // TronGrid hosts get rotated API keys, the request budget and retries;
+      // custom nodes keep their own limits and never see the keys
+      const providers = new Set([tronWeb.fullNode, tronWeb.solidityNode, tronWeb.eventServer].filter(Boolean));
+      for (const provider of providers) {
+        if (provider.instance && isTronGridHost(provider.host)) {
+          applyApiKeyRotation(provider.instance, getApiKeyPool('trongrid', this.env));
+          applyRequestPolicy(provider.instance, 'trongrid');
+        }
+      }
+
+      this.tronWebs.set(profile.name, tronWeb);
+    }
+
+    return this.tronWebs.get(profile.name);
+  }
+
+  /**
+   * TronScan client bound to a network's API host (cached per network)
+   */
+  getTronScanAPI(network) {
+    const profile = this.getProfile(network);
+
+    if (!this.tronScanAPIs.has(profile.name)) {
+      this.tronScanAPIs.set(profile.name, new TronScanAPI({
+        baseURL: `${profile.tronScanApi}/api`,
+        network: profile.name
+      }));
+    }
+
+    return this.tronScanAPIs.get(profile.name);
+  }
+
+  /**
+   * ABI resolver bound to a network's TronWeb (cached per network)
+   */
+  getContractAbi(network) {
+    const profile = this.getProfile(network);
+
+    if (!this.contractAbis.has(profile.name)) {
+      this.contractAbis.set(profile.name, new ContractAbi(this.getTronWeb(profile.name)));
+    }
+
+    return this.contractAbis.get(profile.name);
+  }
+
+  /**
+   * Public description of every profile (no API keys)
+   */
+  describe() {
+    return {
+      defaultNetwork: this.defaultNetwork,
+      networks: this.getNetworkNames().map(name => this.getProfile(name))
+    };
+  }
+}
+
+/**
+ * Input schema property shared by every tool that accepts a per-call network
+ */
+export const NETWORK_ARGUMENT = {
+  type: 'string',
+  description: 'Network to query: mainnet, shasta or nile (default: NETWORK from environment)',
+  enum: Object.keys(NETWORKS),
+};
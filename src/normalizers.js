@@ -0,0 +1,272 @@
+/**
+ * Normalizers for TRON MCP Server
+ * Canonical models for accounts, resources, transactions and blocks, with an
+ * adapter per source format, so a tool returns the same JSON whichever source
+ * (node / TronGrid / TronScan) served it. Node and TronGrid share the
+ * java-tron HTTP format; TronScan has its own.
+ */
+
+import TronWeb from 'tronweb';
+import { diagnoseFailure, diagnoseTransaction } from './failure-diagnostics.js';
+
+const SUN_PER_TRX = 1000000;
+
+// java-tron ContractType values as TronScan reports them
+const CONTRACT_TYPES = {
+  0: 'AccountCreateContract',
+  1: 'TransferContract',
+  2: 'TransferAssetContract',
+  4: 'VoteWitnessContract',
+  11: 'FreezeBalanceContract',
+  12: 'UnfreezeBalanceContract',
+  13: 'WithdrawBalanceContract',
+  30: 'CreateSmartContract',
+  31: 'TriggerSmartContract',
+  46: 'AccountPermissionUpdateContract',
+  54: 'FreezeBalanceV2Contract',
+  55: 'UnfreezeBalanceV2Contract',
+  56: 'WithdrawExpireUnfreezeContract',
+  57: 'DelegateResourceContract',
+  58: 'UnDelegateResourceContract',
+};
+
+const isNodeFormat = (provider) => provider === 'tronweb' || provider === 'trongrid';
+
+/**
+ * Base58 form of an address given as base58, 41-prefixed hex or 20-byte hex (logs)
+ */
+export function toBase58(address) {
+  if (!address) {
+    return null;
+  }
+  if (/^(0x)?[0-9a-fA-F]{40}$/.test(address)) {
+    return TronWeb.address.fromHex(`41${address.replace(/^0x/, '')}`);
+  }
+  return TronWeb.address.fromHex(address.replace(/^0x(?=41)/, ''));
+}
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? 0 : Number(value));
+const toTime = (ms) => (ms ? new Date(Number(ms)).toISOString() : null);
+
+/**
+ * Event logs: { address (base58), topics, data } with hex topics and data
+ */
+const normalizeLogs = (logs) => (Array.isArray(logs) ? logs : []).map(log => ({
+  address: toBase58(log.address),
+  topics: log.topics || [],
+  data: log.data || '',
+}));
+
+/**
+ * Account: { address, activated, balance, unit, balanceInSun, create_time }
+ * @param {Object} raw - getaccount (node) or /api/account (TronScan) response
+ * @param {string} provider - tronweb, trongrid or tronscan
+ * @param {string} address - Requested address, used when the account does not exist yet
+ */
+export function normalizeAccount(raw, provider, address) {
+  const account = raw || {};
+  const balance = toNumber(account.balance);
+  const createTime = isNodeFormat(provider) ? account.create_time : account.date_created;
+
+  return {
+    address: toBase58(account.address) || address,
+    activated: Boolean(createTime) || balance > 0,
+    balance: balance / SUN_PER_TRX,
+    unit: 'TRX',
+    balanceInSun: balance,
+    create_time: toTime(createTime),
+  };
+}
+
+/**
+ * getaccountresource-shaped resources from a getaccount response and the network totals
+ * The solidity node serves no getaccountresource, so confirmed reads take the stake and usage from
+ * the solidified account and work out the limits the way java-tron does: stake (TRX) x total
+ * limit / total weight. Usage is as recorded at the account's last use of the resource.
+ * @param {Object} account - getaccount response
+ * @param {Object} totals - getaccountresource response with freeNetLimit and the Total* fields
+ */
+export function accountResourcesFromAccount(account, totals) {
+  const resource = account?.account_resource || {};
+  const frozenV2 = (type) => (account?.frozenV2 || [])
+    .filter(frozen => (frozen.type || 'BANDWIDTH') === type)
+    .reduce((sum, frozen) => sum + toNumber(frozen.amount), 0);
+  // Delegated stake has already left the owner's frozen balances, acquired stake counts in full
+  const bandwidthStake = (account?.frozen || []).reduce((sum, frozen) => sum + toNumber(frozen.frozen_balance), 0)
+    + frozenV2('BANDWIDTH')
+    + toNumber(account?.acquired_delegated_frozen_balance_for_bandwidth)
+    + toNumber(account?.acquired_delegated_frozenV2_balance_for_bandwidth);
+  const energyStake = toNumber(resource.frozen_balance_for_energy?.frozen_balance)
+    + frozenV2('ENERGY')
+    + toNumber(resource.acquired_delegated_frozen_balance_for_energy)
+    + toNumber(resource.acquired_delegated_frozenV2_balance_for_energy);
+  const limit = (stake, totalLimit, totalWeight) => (toNumber(totalWeight) > 0
+    ? Math.floor(stake / SUN_PER_TRX * toNumber(totalLimit) / toNumber(totalWeight))
+    : 0);
+
+  return {
+    freeNetLimit: totals?.freeNetLimit,
+    freeNetUsed: account?.free_net_usage,
+    NetLimit: limit(bandwidthStake, totals?.TotalNetLimit, totals?.TotalNetWeight),
+    NetUsed: account?.net_usage,
+    EnergyLimit: limit(energyStake, totals?.TotalEnergyLimit, totals?.TotalEnergyWeight),
+    EnergyUsed: resource.energy_usage,
+    TotalNetLimit: totals?.TotalNetLimit,
+    TotalNetWeight: totals?.TotalNetWeight,
+    TotalEnergyLimit: totals?.TotalEnergyLimit,
+    TotalEnergyWeight: totals?.TotalEnergyWeight,
+  };
+}
+
+/**
+ * Resources: bandwidth and energy limits / usage of an account plus network totals
+ * @param {Object} raw - getaccountresource (node) or /api/account (TronScan, `bandwidth` object) response
+ */
+export function normalizeResources(raw, provider, address) {
+  const source = isNodeFormat(provider)
+    ? {
+      freeNetLimit: raw?.freeNetLimit,
+      freeNetUsed: raw?.freeNetUsed,
+      netLimit: raw?.NetLimit,
+      netUsed: raw?.NetUsed,
+      energyLimit: raw?.EnergyLimit,
+      energyUsed: raw?.EnergyUsed,
+      totalNetLimit: raw?.TotalNetLimit,
+      totalNetWeight: raw?.TotalNetWeight,
+      totalEnergyLimit: raw?.TotalEnergyLimit,
+      totalEnergyWeight: raw?.TotalEnergyWeight,
+    }
+    : raw?.bandwidth || {};
+
+  const free = { limit: toNumber(source.freeNetLimit), used: toNumber(source.freeNetUsed) };
+  const staked = { limit: toNumber(source.netLimit), used: toNumber(source.netUsed) };
+  const energy = { limit: toNumber(source.energyLimit), used: toNumber(source.energyUsed) };
+  const total = (value) => (value === undefined || value === null ? null : Number(value));
+
+  return {
+    address,
+    bandwidth: {
+      free_limit: free.limit,
+      free_used: free.used,
+      staked_limit: staked.limit,
+      staked_used: staked.used,
+      available: Math.max(0, free.limit - free.used) + Math.max(0, staked.limit - staked.used),
+    },
+    energy: {
+      limit: energy.limit,
+      used: energy.used,
+      available: Math.max(0, energy.limit - energy.used),
+    },
+    network_totals: {
+      total_net_limit: total(source.totalNetLimit),
+      total_net_weight: total(source.totalNetWeight),
+      total_energy_limit: total(source.totalEnergyLimit),
+      total_energy_weight: total(source.totalEnergyWeight),
+    },
+  };
+}
+
+/**
+ * Transaction: identity, contract, outcome and cost of a transaction, with `failure`
+ * diagnostics (see failure-diagnostics.js) when it did not succeed
+ * @param {Object} raw - { transaction, info } from the node (info may be missing or {} while pending),
+ *   or the /api/transaction-info object from TronScan
+ */
+export function normalizeTransaction(raw, provider) {
+  if (isNodeFormat(provider)) {
+    const { transaction = {}, info = {} } = raw;
+    const contract = transaction.raw_data?.contract?.[0] || {};
+    const value = contract.parameter?.value || {};
+    const receipt = info.receipt || {};
+
+    return {
+      txid: transaction.txID || info.id || null,
+      block_number: info.blockNumber ?? null,
+      block_timestamp: info.blockTimeStamp ?? null,
+      result: transaction.ret?.[0]?.contractRet ?? null,
+      contract_type: contract.type || null,
+      owner_address: toBase58(value.owner_address),
+      to_address: toBase58(value.to_address || value.receiver_address),
+      contract_address: toBase58(value.contract_address || info.contract_address),
+      amount_sun: value.amount ?? value.call_value ?? null,
+      fee_sun: toNumber(info.fee),
+      energy_used: toNumber(receipt.energy_usage_total),
+      energy_fee_sun: toNumber(receipt.energy_fee),
+      net_used: toNumber(receipt.net_usage),
+      net_fee_sun: toNumber(receipt.net_fee),
+      timestamp: transaction.raw_data?.timestamp ?? null,
+      expiration: transaction.raw_data?.expiration ?? null,
+      log_count: info.log ? info.log.length : 0,
+      logs: normalizeLogs(info.log),
+      failure: diagnoseTransaction(info, transaction),
+    };
+  }
+
+  const data = raw.contractData || {};
+  const cost = raw.cost || {};
+  const contractType = typeof raw.contractType === 'number'
+    ? CONTRACT_TYPES[raw.contractType] || `ContractType${raw.contractType}`
+    : raw.contractType || null;
+
+  return {
+    txid: raw.hash || null,
+    block_number: raw.block ?? null,
+    block_timestamp: raw.block ? raw.timestamp ?? null : null,
+    result: raw.contractRet ?? null,
+    contract_type: contractType,
+    owner_address: toBase58(raw.ownerAddress || data.owner_address),
+    to_address: toBase58(raw.toAddress || data.to_address || data.receiver_address),
+    contract_address: toBase58(data.contract_address || null),
+    amount_sun: data.amount ?? data.call_value ?? null,
+    fee_sun: toNumber(cost.fee),
+    energy_used: toNumber(cost.energy_usage_total),
+    energy_fee_sun: toNumber(cost.energy_fee),
+    net_used: toNumber(cost.net_usage),
+    net_fee_sun: toNumber(cost.net_fee),
+    // TronScan only reports the block time, not the transaction's own timestamp / expiration
+    timestamp: null,
+    expiration: null,
+    log_count: Array.isArray(raw.log) ? raw.log.length : 0,
+    logs: normalizeLogs(raw.log),
+    // TronScan does not return the revert data, only the result and message
+    failure: diagnoseFailure({
+      result: raw.contractRet,
+      message: raw.resMessage,
+      energyUsed: toNumber(cost.energy_usage_total),
+      energyFee: toNumber(cost.energy_fee),
+    }),
+  };
+}
+
+/**
+ * Block: header fields and transaction ids
+ * @param {Object} raw - getblockbynum / getnowblock (node) or /api/block (TronScan) response
+ */
+export function normalizeBlock(raw, provider) {
+  if (isNodeFormat(provider)) {
+    const header = raw.block_header?.raw_data || {};
+    const transactions = raw.transactions || [];
+
+    return {
+      block_number: header.number ?? null,
+      block_id: raw.blockID || null,
+      parent_hash: header.parentHash || null,
+      timestamp: header.timestamp ?? null,
+      witness_address: toBase58(header.witness_address),
+      transaction_count: transactions.length,
+      transaction_ids: transactions.map(transaction => transaction.txID),
+    };
+  }
+
+  const block = raw.data?.[0] || raw;
+  return {
+    block_number: block.number ?? null,
+    block_id: block.hash || null,
+    parent_hash: block.parentHash || null,
+    timestamp: block.timestamp ?? null,
+    witness_address: toBase58(block.witnessAddress),
+    transaction_count: toNumber(block.nrOfTrx),
+    // TronScan blocks do not list their transactions
+    transaction_ids: null,
+  };
+}
@@ -0,0 +1,281 @@
+/**
+ * Provider Health for TRON MCP Server
+ * Tracks the node, TronGrid and TronScan per network with a rolling error rate,
+ * latency and a circuit breaker, and decides the order executeWithFallback tries them in
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+export const PROVIDERS = ['tronweb', 'trongrid', 'tronscan'];
+
+// Value of `source` in results, per provider
+export const PROVIDER_SOURCES = {
+  tronweb: 'tronweb_node',
+  trongrid: 'trongrid_api',
+  tronscan: 'tronscan_api',
+};
+
+/**
+ * Thrown by a fallback source that cannot serve an operation at all
+ * (e.g. TronScan asked to broadcast); it is skipped without counting as a failure.
+ */
+export class UnsupportedSourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedSourceError';
+  }
+}
+
+/**
+ * Thrown when a source answered, but with a negative result: an unknown transaction, a rejected
+ * broadcast, a validation error. The source works, so it does not count toward its circuit.
+ */
+export class SourceAnswerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceAnswerError';
+  }
+}
+
+/**
+ * A source call's rejection as an Error
+ * TronWeb rejects with plain strings (or objects) for answers of the node, such as
+ * 'Transaction not found' or a validation error, so those become SourceAnswerErrors.
+ */
+export function toSourceError(error) {
+  if (error instanceof Error) {
+    return error;
+  }
+  const message = typeof error === 'string'
+    ? error
+    : error?.message || error?.Error || JSON.stringify(error) || 'Unknown error';
+  return new SourceAnswerError(message);
+}
+
+/**
+ * Whether a failed source call says something about the source's health
+ * Answers and invalid arguments do not; transport, HTTP and unexpected errors do.
+ */
+export function isHealthFailure(error) {
+  if (error instanceof SourceAnswerError || error instanceof UnsupportedSourceError) {
+    return false;
+  }
+  return !(error instanceof McpError && error.code === ErrorCode.InvalidParams);
+}
+
+export class ProviderHealth {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.order - Providers in the order they are tried (default: tronweb, trongrid, tronscan)
+   * @param {number} options.windowSize - Outcomes kept per provider for the rolling error rate
+   * @param {number} options.windowMs - Outcomes older than this are ignored
+   * @param {number} options.minRequests - Outcomes needed before the error rate can open the circuit
+   * @param {number} options.errorRateThreshold - Error rate (0-1) that opens the circuit
+   * @param {number} options.consecutiveFailures - Failures in a row that open the circuit
+   * @param {number} options.cooldownMs - How long an open circuit waits before a half-open probe
+   * @param {number} options.slowCallMs - Successful calls slower than this count as failures
+   */
+  constructor({
+    order = PROVIDERS,
+    windowSize = 20,
+    windowMs = 5 * 60 * 1000,
+    minRequests = 5,
+    errorRateThreshold = 0.5,
+    consecutiveFailures = 3,
+    cooldownMs = 30 * 1000,
+    slowCallMs = 10 * 1000
+  } = {}) {
+    const unknown = order.filter(provider => !PROVIDERS.includes(provider));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown provider(s) in PROVIDER_ORDER: ${unknown.join(', ')} (expected: ${PROVIDERS.join(', ')})`);
+    }
+
+    this.order = [...order, ...PROVIDERS.filter(provider => !order.includes(provider))];
+    this.windowSize = windowSize;
+    this.windowMs = windowMs;
+    this.minRequests = minRequests;
+    this.errorRateThreshold = errorRateThreshold;
+    this.consecutiveFailures = consecutiveFailures;
+    this.cooldownMs = cooldownMs;
+    this.slowCallMs = slowCallMs;
+    this.states = new Map(); // `${network}:${provider}` -> state
+  }
+
+  /**
+   * Build from PROVIDER_ORDER and CIRCUIT_* environment variables
+   */
+  static fromEnv(env = process.env) {
+    const number = (value) => (value !== undefined && value !== '' ? Number(value) : undefined);
+    const options = {
+      order: (env.PROVIDER_ORDER || '').split(',').map(item => item.trim()).filter(Boolean),
+      errorRateThreshold: number(env.CIRCUIT_ERROR_RATE),
+      consecutiveFailures: number(env.CIRCUIT_CONSECUTIVE_FAILURES),
+      cooldownMs: number(env.CIRCUIT_COOLDOWN_MS),
+      slowCallMs: number(env.CIRCUIT_SLOW_CALL_MS)
+    };
+
+    if (options.order.length === 0) {
+      delete options.order;
+    }
+    return new ProviderHealth(Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined)
+    ));
+  }
+
+  getState(provider, network) {
+    const key = `${network}:${provider}`;
+    if (!this.states.has(key)) {
+      this.states.set(key, {
+        circuit: 'closed',
+        outcomes: [], // { ok, latencyMs, timestamp }
+        consecutiveFailures: 0,
+        openedAt: null,
+        probeStartedAt: null,
+        recentFailures: [], // { timestamp, message }
+        totals: { success: 0, failure: 0 }
+      });
+    }
+    return this.states.get(key);
+  }
+
+  /**
+   * Providers of an operation in the order to try them
+   * Open circuits are skipped; after the cooldown one half-open probe is let through.
+   * When every circuit is open the providers are tried anyway rather than failing outright.
+   */
+  selectProviders(available, network) {
+    const candidates = this.order.filter(provider => available.includes(provider));
+    const selected = candidates.filter(provider => this.allowRequest(provider, network));
+    return selected.length > 0 ? selected : candidates;
+  }
+
+  allowRequest(provider, network) {
+    const state = this.getState(provider, network);
+
+    if (state.circuit === 'closed') {
+      return true;
+    }
+    if (state.circuit === 'open' && Date.now() - state.openedAt >= this.cooldownMs) {
+      state.circuit = 'half-open';
+      state.probeStartedAt = null;
+    }
+    // A probe that was never run (an earlier provider answered) is handed out again after the cooldown
+    if (state.circuit === 'half-open' && (!state.probeStartedAt || Date.now() - state.probeStartedAt >= this.cooldownMs)) {
+      state.probeStartedAt = Date.now();
+      console.error(`[TRON-MCP] Probing ${provider} (${network}) after cooldown`);
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess(provider, network, latencyMs) {
+    if (latencyMs > this.slowCallMs) {
+      this.recordFailure(provider, network, latencyMs, new Error(`Slow response (${latencyMs}ms)`));
+      return;
+    }
+
+    const state = this.getState(provider, network);
+    if (state.circuit !== 'closed') {
+      // Start the rolling window afresh so old failures do not reopen the circuit at once
+      console.error(`[TRON-MCP] ${provider} (${network}) recovered, closing circuit`);
+      state.outcomes = [];
+    }
+
+    this.addOutcome(state, { ok: true, latencyMs });
+    state.totals.success++;
+    state.consecutiveFailures = 0;
+    state.circuit = 'closed';
+    state.probeStartedAt = null;
+  }
+
+  recordFailure(provider, network, latencyMs, error) {
+    const state = this.getState(provider, network);
+    this.addOutcome(state, { ok: false, latencyMs });
+    state.totals.failure++;
+    state.consecutiveFailures++;
+    state.recentFailures.push({ timestamp: Date.now(), message: error.message });
+    if (state.recentFailures.length > 5) {
+      state.recentFailures.shift();
+    }
+
+    const { errorRate, requests } = this.getWindowStats(state);
+    const tripped = state.circuit === 'half-open'
+      || state.consecutiveFailures >= this.consecutiveFailures
+      || (requests >= this.minRequests && errorRate >= this.errorRateThreshold);
+
+    if (tripped) {
+      if (state.circuit !== 'open') {
+        console.error(`[TRON-MCP] Opening circuit for ${provider} (${network}): ${error.message}`);
+      }
+      state.circuit = 'open';
+      state.openedAt = Date.now();
+      state.probeStartedAt = null;
+    }
+  }
+
+  addOutcome(state, outcome) {
+    state.outcomes.push({ ...outcome, timestamp: Date.now() });
+    if (state.outcomes.length > this.windowSize) {
+      state.outcomes.shift();
+    }
+  }
+
+  getWindowStats(state) {
+    const since = Date.now() - this.windowMs;
+    const outcomes = state.outcomes.filter(outcome => outcome.timestamp >= since);
+    const failures = outcomes.filter(outcome => !outcome.ok).length;
+    const latencies = outcomes.filter(outcome => outcome.ok).map(outcome => outcome.latencyMs);
+
+    return {
+      requests: outcomes.length,
+      errorRate: outcomes.length > 0 ? failures / outcomes.length : 0,
+      avgLatencyMs: latencies.length > 0
+        ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length)
+        : null
+    };
+  }
+
+  /**
+   * Health of every provider that has been used, for get_provider_health
+   */
+  getSnapshot(network = null) {
+    const providers = [...this.states.entries()]
+      .map(([key, state]) => {
+        const [name, provider] = key.split(':');
+        return { name, provider, state };
+      })
+      .filter(({ name }) => !network || name === network)
+      .map(({ name, provider, state }) => {
+        const stats = this.getWindowStats(state);
+        return {
+          network: name,
+          provider,
+          circuit: state.circuit,
+          error_rate: Number(stats.errorRate.toFixed(3)),
+          requests_in_window: stats.requests,
+          avg_latency_ms: stats.avgLatencyMs,
+          consecutive_failures: state.consecutiveFailures,
+          retry_at: state.circuit === 'open' ? new Date(state.openedAt + this.cooldownMs).toISOString() : null,
+          totals: state.totals,
+          recent_failures: state.recentFailures.map(failure => ({
+            at: new Date(failure.timestamp).toISOString(),
+            message: failure.message
+          }))
+        };
+      });
+
+    return {
+      order: this.order,
+      thresholds: {
+        error_rate: this.errorRateThreshold,
+        min_requests: this.minRequests,
+        consecutive_failures: this.consecutiveFailures,
+        cooldown_ms: this.cooldownMs,
+        slow_call_ms: this.slowCallMs,
+        window_size: this.windowSize,
+        window_ms: this.windowMs
+      },
+      providers
+    };
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Request Policy for TRON MCP Server
+ * Per-provider request budgets (token buckets) and retries with exponential
+ * backoff and jitter that honour Retry-After, shared by every HTTP client
+ * that talks to TronGrid, TronScan or the documentation site
+ */
+
+// TronGrid answers 403 as well as 429 when a key or IP is over its rate limit
+export const RETRYABLE_STATUS = new Set([403, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+// Not idempotent: a failure can come after the node accepted the transaction, and the retry would
+// then be refused as DUP_TRANSACTION_ERROR and reported as a failed send
+const NON_IDEMPOTENT_PATHS = /\/?wallet\/(broadcasttransaction|broadcasthex)\b/;
+
+// Requests per second when the environment does not say otherwise
+const DEFAULT_RATES = {
+  trongrid: 10,
+  tronscan: 5,
+  docs: 1,
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class RequestBudget {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in logs and statistics
+   * @param {number} options.requestsPerSecond - Sustained rate (0 = unlimited)
+   * @param {number} options.burst - Requests allowed at once after an idle period
+   */
+  constructor({ name, requestsPerSecond, burst = Math.max(1, Math.ceil(requestsPerSecond)) }) {
+    this.name = name;
+    this.requestsPerSecond = requestsPerSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+    this.stats = { granted: 0, waitedMs: 0, rateLimited: 0, retries: 0 };
+  }
+
+  /**
+   * Wait until the budget allows one more request
+   * Callers are served in order so a batch cannot starve single requests.
+   */
+  acquire() {
+    if (!this.requestsPerSecond) {
+      this.stats.granted++;
+      return Promise.resolve();
+    }
+
+    const turn = this.queue.then(() => this.take());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async take() {
+    for (;;) {
+      this.refill();
+      const pause = this.pausedUntil - Date.now();
+
+      if (pause <= 0 && this.tokens >= 1) {
+        this.tokens -= 1;
+        this.stats.granted++;
+        return;
+      }
+
+      const delay = pause > 0 ? pause : Math.ceil((1 - this.tokens) / this.requestsPerSecond * 1000);
+      this.stats.waitedMs += delay;
+      await sleep(delay);
+    }
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Hold every request to this provider (after a 429 / Retry-After)
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.stats.rateLimited++;
+  }
+
+  getStats() {
+    return {
+      provider: this.name,
+      requests_per_second: this.requestsPerSecond || 'unlimited',
+      paused_until: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+const budgets = new Map();
+
+/**
+ * Shared budget of a provider; the rate comes from <PROVIDER>_REQUESTS_PER_SECOND
+ */
+export function getRequestBudget(provider, env = process.env) {
+  if (!budgets.has(provider)) {
+    const configured = env[`${provider.toUpperCase()}_REQUESTS_PER_SECOND`];
+    const requestsPerSecond = configured !== undefined && configured !== ''
+      ? Number(configured)
+      : DEFAULT_RATES[provider] || 0;
+    budgets.set(provider, new RequestBudget({ name: provider, requestsPerSecond }));
+  }
+  return budgets.get(provider);
+}
+
+export function getRequestBudgetStats() {
+  return [...budgets.values()].map(budget => budget.getStats());
+}
+
+/**
+ * Retry-After header (seconds or HTTP date) in milliseconds, or null
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Error for a non-2xx fetch response, carrying what the retry policy needs
+ */
+export function responseError(prefix, response, keyRetired = false) {
+  const error = new Error(`${prefix}: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  error.retryAfter = response.headers.get('retry-after');
+  error.keyRetired = keyRetired;
+  return error;
+}
+
+/**
+ * Whether a request to this URL or path can be retried safely
+ */
+export function isIdempotentRequest(url = '') {
+  return !NON_IDEMPOTENT_PATHS.test(url);
+}
+
+/**
+ * Retry settings from HTTP_MAX_RETRIES / HTTP_RETRY_BASE_MS / HTTP_RETRY_MAX_MS
+ */
+export function getRetryOptions(env = process.env) {
+  const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+  return {
+    retries: number(env.HTTP_MAX_RETRIES, 3),
+    baseDelayMs: number(env.HTTP_RETRY_BASE_MS, 500),
+    maxDelayMs: number(env.HTTP_RETRY_MAX_MS, 10000),
+    // A longer Retry-After than this fails the call instead of blocking it
+    maxRetryAfterMs: number(env.HTTP_MAX_RETRY_AFTER_MS, 60000)
+  };
+}
+
+/**
+ * Delay before retrying a failed request, or null when it should not be retried
+ * Accepts fetch-style errors ({ status, retryAfter, keyRetired }) and axios errors ({ response, code }).
+ */
+export function getRetryDelay(error, attempt, options = getRetryOptions()) {
+  if (attempt >= options.retries) {
+    return null;
+  }
+  // The key was rejected and retired; the next attempt uses another one right away
+  if (error.keyRetired) {
+    return 0;
+  }
+  // Anything else may have reached the node
+  if (options.idempotent === false) {
+    return null;
+  }
+
+  const status = error.status ?? error.response?.status;
+  const retryable = status ? RETRYABLE_STATUS.has(status) : RETRYABLE_CODES.has(error.code);
+  if (!retryable) {
+    return null;
+  }
+
+  const retryAfter = parseRetryAfter(error.retryAfter ?? error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return retryAfter <= options.maxRetryAfterMs ? retryAfter : null;
+  }
+
+  // Full jitter: anywhere between 0 and the exponential ceiling
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run a request under a provider's budget, retrying rate limits and transient failures
+ * @param {string} provider - Budget name (trongrid, tronscan, docs)
+ * @param {Function} request - Performs one attempt; throws errors with status / retryAfter
+ * @param {string} label - Used in logs
+ * @param {Object} options
+ * @param {boolean} options.idempotent - false for broadcasts: only retried when the key was rejected
+ */
+export async function requestWithRetry(provider, request, label = provider, { idempotent = true } = {}) {
+  const budget = getRequestBudget(provider);
+  const options = { ...getRetryOptions(), idempotent };
+
+  for (let attempt = 0; ; attempt++) {
+    await budget.acquire();
+    try {
+      return await request();
+    } catch (error) {
+      const delay = getRetryDelay(error, attempt, options);
+      if (delay === null) {
+        throw error;
+      }
+
+      budget.stats.retries++;
+      const status = error.status ?? error.response?.status;
+      if ((status === 429 || status === 403) && !error.keyRetired) {
+        budget.pause(delay);
+      }
+      console.error(`[TRON-MCP] ${label} failed (${status || error.code}), retry ${attempt + 1}/${options.retries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Apply a provider's budget and retries to an axios instance (TronWeb providers, TronScan client)
+ */
+export function applyRequestPolicy(instance, provider) {
+  const budget = getRequestBudget(provider);
+
+  instance.interceptors.request.use(async (config) => {
+    await budget.acquire();
+    return config;
+  });
+
+  instance.interceptors.response.use(null, async (error) => {
+    const config = error.config;
+    const attempt = config?.retryAttempt || 0;
+    const delay = config
+      ? getRetryDelay(error, attempt, { ...getRetryOptions(), idempotent: isIdempotentRequest(config.url) })
+      : null;
+    if (delay === null) {
+      throw error;
+    }
+
+    budget.stats.retries++;
+    const status = error.response?.status;
+    if ((status === 429 || status === 403) && !error.keyRetired) {
+      budget.pause(delay);
+    }
+    console.error(`[TRON-MCP] ${provider} ${config.url} failed (${status || error.code}), retry ${attempt + 1} in ${delay}ms`);
+    await sleep(delay);
+    return instance.request({ ...config, retryAttempt: attempt + 1 });
+  });
+
+  return instance;
+}
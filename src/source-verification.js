@@ -0,0 +1,164 @@
+/**
+ * Source Verification for TRON MCP Server
+ * Compares what the node, TronGrid and TronScan return for the same read,
+ * together with the head block each of them was at, so a value is never
+ * reported from a lagging source without saying so
+ */
+
+import { PROVIDER_SOURCES } from './provider-health.js';
+
+// Tool argument for reads that must only see irreversible data
+export const CONFIRMED_ARGUMENT = {
+  type: 'boolean',
+  description: 'Read from the solidity node (/walletsolidity): only data in solidified, irreversible blocks, with the latest solidified block in `solidified_block` (default: false)',
+};
+
+/**
+ * Verification settings from VERIFY_QUORUM / VERIFY_MAX_BLOCK_LAG
+ */
+export function getVerificationOptions(env = process.env) {
+  const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+  return {
+    // Sources that must return the same value
+    quorum: number(env.VERIFY_QUORUM, 2),
+    // Blocks a source may trail the most recent one before it is flagged as lagging (~3s per block)
+    maxBlockLag: number(env.VERIFY_MAX_BLOCK_LAG, 20)
+  };
+}
+
+/**
+ * Head block lookups per source, used to tell how current each answer is
+ * With confirmed, the latest solidified block of the node and TronGrid instead
+ * (TronScan does not serve solidified reads).
+ */
+export function headBlockSources({ tronWeb, trongridApiCall, tronscanApiCall, network, confirmed = false }) {
+  if (confirmed) {
+    return {
+      tronweb: async () => {
+        const block = await tronWeb.solidityNode.request('walletsolidity/getnowblock', {}, 'post');
+        return block.block_header.raw_data.number;
+      },
+      trongrid: async () => {
+        const result = await trongridApiCall({ endpoint: '/walletsolidity/getnowblock', method: 'POST', data: {}, network });
+        return JSON.parse(result.content[0].text).result.block_header.raw_data.number;
+      },
+    };
+  }
+
+  return {
+    tronweb: async () => {
+      const block = await tronWeb.trx.getCurrentBlock();
+      return block.block_header.raw_data.number;
+    },
+    trongrid: async () => {
+      const result = await trongridApiCall({ endpoint: '/wallet/getnowblock', method: 'POST', data: {}, network });
+      return JSON.parse(result.content[0].text).result.block_header.raw_data.number;
+    },
+    tronscan: async () => {
+      const result = await tronscanApiCall({ endpoint: '/api/block/latest', network });
+      return JSON.parse(result.content[0].text).result.number;
+    },
+  };
+}
+
+/**
+ * Wrap an operation's sources so each result carries the block its source was at
+ * in `field` (null when the lookup fails; the read itself still counts)
+ */
+export function withHeadBlock(operation, heads, field = 'head_block') {
+  return Object.fromEntries(Object.entries(operation).map(([provider, read]) => [
+    provider,
+    async () => {
+      const [result, headBlock] = await Promise.all([
+        read(),
+        heads[provider] ? heads[provider]().catch(() => null) : Promise.resolve(null)
+      ]);
+      return { ...result, [field]: headBlock ?? null };
+    }
+  ]));
+}
+
+/**
+ * Prepare a read for the verify / confirmed options of the account, transaction and block tools
+ * @returns {{ operation: Object, blockField: string }} Wrapped sources and the result field holding their block
+ */
+export function withReadOptions(operation, { verify, confirmed, ...clients }) {
+  const blockField = confirmed ? 'solidified_block' : 'head_block';
+  if (!verify && !confirmed) {
+    return { operation, blockField };
+  }
+  return {
+    operation: withHeadBlock(operation, headBlockSources({ ...clients, confirmed }), blockField),
+    blockField
+  };
+}
+
+const stableStringify = (value) => JSON.stringify(value, (key, item) => (
+  item && typeof item === 'object' && !Array.isArray(item)
+    ? Object.fromEntries(Object.entries(item).sort(([a], [b]) => a.localeCompare(b)))
+    : typeof item === 'bigint' ? item.toString() : item
+));
+
+/**
+ * Compare the answers of every source
+ * @param {Object[]} answers - { provider, result, latencyMs } of sources that answered
+ * @param {Object[]} failures - { provider, error } of sources that did not
+ * @param {Object} options
+ * @param {Function} options.normalize - Maps a result to the value that must agree
+ * @param {number} options.quorum - Sources that must agree for the value to count as verified
+ * @param {number} options.maxBlockLag - Blocks behind the newest head before a source is lagging
+ * @param {string} options.blockField - Result field with the source's block (head_block, or solidified_block for confirmed reads)
+ * @returns {{ result: Object, verification: Object }} The majority answer (freshest on a tie) and the report
+ */
+export function compareSources(answers, failures, { normalize = (result) => result, quorum, maxBlockLag, blockField = 'head_block' }) {
+  const blockOf = (result) => (Number.isFinite(result[blockField]) ? result[blockField] : null);
+  const heads = answers.map(answer => blockOf(answer.result)).filter(Number.isFinite);
+  const newestHead = heads.length > 0 ? Math.max(...heads) : null;
+
+  const groups = new Map();
+  const sources = answers.map(({ provider, result, latencyMs }) => {
+    const value = normalize(result);
+    const key = stableStringify(value);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ provider, result });
+
+    const headBlock = blockOf(result);
+    return {
+      source: PROVIDER_SOURCES[provider],
+      value,
+      head_block: headBlock,
+      blocks_behind: headBlock !== null && newestHead !== null ? newestHead - headBlock : null,
+      lagging: headBlock !== null && newestHead !== null && newestHead - headBlock > maxBlockLag,
+      latency_ms: latencyMs
+    };
+  });
+
+  const freshest = (group) => Math.max(...group.map(({ result }) => blockOf(result) ?? -1));
+  const [winner] = [...groups.values()].sort((a, b) => b.length - a.length || freshest(b) - freshest(a));
+  const chosen = [...winner].sort((a, b) => (blockOf(b.result) ?? -1) - (blockOf(a.result) ?? -1))[0];
+
+  let status = 'agreed';
+  if (groups.size > 1) {
+    status = 'disagreed';
+  } else if (winner.length < quorum) {
+    status = 'insufficient_sources';
+  }
+
+  return {
+    result: { ...chosen.result, source: PROVIDER_SOURCES[chosen.provider] },
+    verification: {
+      status,
+      quorum,
+      quorum_met: winner.length >= quorum,
+      agreeing_sources: winner.map(({ provider }) => PROVIDER_SOURCES[provider]),
+      newest_head_block: newestHead,
+      max_block_lag: maxBlockLag,
+      sources: [
+        ...sources,
+        ...failures.map(({ provider, error }) => ({ source: PROVIDER_SOURCES[provider], error: error.message }))
+      ]
+    }
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Tool Registry for TRON MCP Server
+ * Modules register their tool definitions and handlers by group;
+ * groups can be enabled or disabled through configuration
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+export class ToolRegistry {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.enabledGroups - Only these groups are exposed (default: all)
+   * @param {string[]} options.disabledGroups - These groups are never exposed
+   */
+  constructor({ enabledGroups = null, disabledGroups = [] } = {}) {
+    this.enabledGroups = enabledGroups && enabledGroups.length > 0 ? new Set(enabledGroups) : null;
+    this.disabledGroups = new Set(disabledGroups);
+    this.tools = new Map();
+    this.groups = new Map();
+  }
+
+  /**
+   * Build a registry from TOOL_GROUPS / DISABLED_TOOL_GROUPS environment variables
+   */
+  static fromEnv(env = process.env) {
+    const parseList = (value) => (value || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean);
+
+    return new ToolRegistry({
+      enabledGroups: parseList(env.TOOL_GROUPS),
+      disabledGroups: parseList(env.DISABLED_TOOL_GROUPS)
+    });
+  }
+
+  isGroupEnabled(group) {
+    if (this.disabledGroups.has(group)) {
+      return false;
+    }
+    return !this.enabledGroups || this.enabledGroups.has(group);
+  }
+
+  /**
+   * Register every tool a module exposes through getTools()
+   */
+  registerModule(group, module) {
+    if (!module || typeof module.getTools !== 'function') {
+      throw new Error(`Module for group '${group}' does not implement getTools()`);
+    }
+
+    for (const tool of module.getTools()) {
+      this.register(group, tool);
+    }
+  }
+
+  /**
+   * Register a single tool definition
+   * @param {string} group - Tool group name
+   * @param {Object} tool - { name, description, inputSchema, handler }
+   */
+  register(group, tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error(`Invalid tool definition in group '${group}'`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool '${tool.name}' is already registered by group '${this.tools.get(tool.name).group}'`);
+    }
+
+    this.tools.set(tool.name, { ...tool, group });
+
+    if (!this.groups.has(group)) {
+      this.groups.set(group, []);
+    }
+    this.groups.get(group).push(tool.name);
+  }
+
+  /**
+   * Tool definitions for ListToolsRequestSchema (enabled groups only)
+   */
+  listTools() {
+    return [...this.tools.values()]
+      .filter(tool => this.isGroupEnabled(tool.group))
+      .map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+  }
+
+  /**
+   * Dispatch a tool call to its handler
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Per-request context (e.g. the MCP server instance)
+   */
+  async callTool(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+
+    if (!tool || !this.isGroupEnabled(tool.group)) {
+      throw new McpError(
+        ErrorCode.MethodNotFound,
+        `Unknown tool: ${name}`
+      );
+    }
+
+    return await tool.handler(args || {}, context);
+  }
+
+  /**
+   * Summary of registered groups and whether each one is enabled
+   */
+  getGroups() {
+    return [...this.groups.entries()].map(([group, tools]) => ({
+      group,
+      enabled: this.isGroupEnabled(group),
+      tools
+    }));
+  }
+}
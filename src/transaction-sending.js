@@ -0,0 +1,169 @@
+/**
+ * Transaction Sending for TRON MCP Server
+ * The checks, the broadcast and the wait for the receipt shared by every tool that sends a
+ * transaction, so the send paths of the transaction, contract and staking modules cannot drift apart
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { SourceAnswerError, UnsupportedSourceError } from './provider-health.js';
+
+/**
+ * Refuse to send without confirm: true or without a key to sign with
+ */
+export function requireConfirmedSend(tronWeb, confirm, privateKey, toolName) {
+  if (confirm !== true) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `${toolName} broadcasts a transaction; set confirm: true to proceed`
+    );
+  }
+  if (!privateKey && !tronWeb.defaultPrivateKey) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      'Private key required for sending transactions. Set PRIVATE_KEY in environment or provide in request.'
+    );
+  }
+}
+
+/**
+ * Address of the signing key (the server key when none is given)
+ */
+export function getOwnerAddress(tronWeb, privateKey) {
+  return privateKey
+    ? tronWeb.address.fromPrivateKey(privateKey)
+    : tronWeb.defaultAddress.base58;
+}
+
+/**
+ * Turn a broadcast response into { txid } or throw with the node's message
+ * DUP_TRANSACTION_ERROR means the network already has this very transaction (an earlier attempt
+ * was accepted before its response was lost), so the broadcast succeeded.
+ */
+export function checkBroadcast(signedTx, result) {
+  if (result?.code === 'DUP_TRANSACTION_ERROR') {
+    console.error(`[TRON-MCP] ${signedTx.txID} was already broadcast, treating as sent`);
+    return { txid: signedTx.txID, duplicate: true };
+  }
+  if (!result || result.result !== true) {
+    // Broadcast errors come back hex encoded
+    const message = result?.message
+      ? Buffer.from(result.message, 'hex').toString('utf8')
+      : JSON.stringify(result);
+    throw new SourceAnswerError(`Broadcast rejected (${result?.code || 'unknown'}): ${message}`);
+  }
+  return { txid: signedTx.txID };
+}
+
+/**
+ * Broadcast a signed transaction through the node, falling back to TronGrid
+ * Every source sends the same signed transaction: the network keeps one copy per txid, so a
+ * fallback after an attempt that was accepted anyway ends in DUP_TRANSACTION_ERROR, not a second send.
+ * @param {Object} signedTx - Signed transaction
+ * @param {Object} options
+ * @param {Object} options.tronWeb - TronWeb instance of the network
+ * @param {Function} options.trongridApiCall - TronGrid request function
+ * @param {Function} options.executeWithFallback - Source fallback of the server
+ * @param {string} options.operationName - Used in logs and provider health
+ * @param {string} options.network - Network name (optional, default network when omitted)
+ * @returns {Promise<Object>} { txid, source }
+ */
+export async function broadcastTransaction(signedTx, { tronWeb, trongridApiCall, executeWithFallback, operationName, network }) {
+  return await executeWithFallback({
+    tronweb: async () => {
+      const result = await tronWeb.trx.sendRawTransaction(signedTx);
+      return checkBroadcast(signedTx, result);
+    },
+    trongrid: async () => {
+      const result = await trongridApiCall({
+        endpoint: '/wallet/broadcasttransaction',
+        method: 'POST',
+        data: signedTx,
+        network
+      });
+      return checkBroadcast(signedTx, JSON.parse(result.content[0].text).result);
+    },
+    tronscan: async () => {
+      throw new UnsupportedSourceError('TronScan API does not support transaction broadcasting - read-only API');
+    }
+  }, operationName, network);
+}
+
+/**
+ * POST to a wallet/ or walletsolidity/ endpoint of the node, falling back to TronGrid
+ * @param {string} path - Endpoint without the leading slash, e.g. wallet/gettransactioninfobyid
+ * @param {Object} data - Request body
+ * @param {Object} options - tronWeb, trongridApiCall, executeWithFallback and network, as for broadcastTransaction
+ */
+export async function nodeRequest(path, data, { tronWeb, trongridApiCall, executeWithFallback, network }) {
+  const node = path.startsWith('walletsolidity/') ? tronWeb.solidityNode : tronWeb.fullNode;
+
+  return await executeWithFallback({
+    tronweb: async () => await node.request(path, data, 'post'),
+    trongrid: async () => {
+      const result = await trongridApiCall({
+        endpoint: `/${path}`,
+        method: 'POST',
+        data,
+        network
+      });
+      return JSON.parse(result.content[0].text).result;
+    },
+    tronscan: async () => {
+      throw new UnsupportedSourceError('TronScan API does not serve node transaction info');
+    }
+  }, path, network);
+}
+
+/**
+ * Poll a transaction's info until it is included (full node) and, with waitFor 'solidified',
+ * solidified (solidity node), or until the deadline
+ * Source failures are logged and polled through; the last one is returned with the result.
+ * @param {string} txid
+ * @param {Object} options - tronWeb, trongridApiCall, executeWithFallback and network, plus:
+ * @param {string} options.waitFor - included or solidified
+ * @param {number} options.deadline - Time (ms since epoch) to give up at
+ * @param {number} options.pollIntervalMs - Pause between polls
+ * @param {Function} options.onProgress - ({ info, solidifiedInfo, solidifiedBlock }) after every poll (optional)
+ * @returns {Promise<Object>} { info, solidifiedInfo, solidifiedBlock, lastError }, info null while pending
+ */
+export async function pollTransactionInfo(txid, { waitFor = 'included', deadline, pollIntervalMs = 3000, onProgress, ...clients }) {
+  const request = (path, data) => nodeRequest(path, data, clients);
+  const state = { info: null, solidifiedInfo: null, solidifiedBlock: null, lastError: null };
+
+  while (Date.now() < deadline) {
+    try {
+      if (!state.info) {
+        const found = await request('wallet/gettransactioninfobyid', { value: txid });
+        if (found.id) {
+          state.info = found;
+        }
+      }
+
+      if (state.info && waitFor === 'solidified') {
+        const [found, head] = await Promise.all([
+          request('walletsolidity/gettransactioninfobyid', { value: txid }),
+          request('walletsolidity/getnowblock', {})
+        ]);
+        state.solidifiedBlock = head.block_header?.raw_data?.number ?? state.solidifiedBlock;
+        if (found.id) {
+          state.solidifiedInfo = found;
+        }
+      }
+      state.lastError = null;
+    } catch (error) {
+      // Keep polling through transient source failures until the deadline
+      state.lastError = error.message;
+      console.error(`[TRON-MCP] Waiting for ${txid}:`, error.message);
+    }
+
+    if (onProgress) {
+      await onProgress(state);
+    }
+    if (waitFor === 'solidified' ? state.solidifiedInfo : state.info) {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, Math.min(pollIntervalMs, deadline - Date.now()))));
+  }
+
+  return state;
+}
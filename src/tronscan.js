@@ -2,16 +2,21 @@ import axios from 'axios';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { requestWithRetry } from './request-policy.js';
+import { API_KEY_HEADER, getApiKeyPool } from './api-keys.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class TronScanAPI {
-  constructor() {
-    this.baseURL = 'https://apilist.tronscanapi.com/api';
-    this.cacheDir = path.join(__dirname, '..', 'cache');
-    this.apiKeys = process.env.API_KEYS ? process.env.API_KEYS.split(',') : [];
-    this.currentKeyIndex = 0;
+  constructor({ baseURL = 'https://apilist.tronscanapi.com/api', network = 'mainnet' } = {}) {
+    this.baseURL = baseURL;
+    this.network = network;
+    // Testnet responses are cached separately so they never mix with mainnet data
+    this.cacheDir = network === 'mainnet'
+      ? path.join(__dirname, '..', 'cache')
+      : path.join(__dirname, '..', 'cache', network);
+    this.apiKeys = getApiKeyPool('tronscan');
     this.ensureCacheDir();
   }
 
@@ -24,24 +29,29 @@ export class TronScanAPI {
   }
 
   getApiKey() {
-    if (this.apiKeys.length === 0) return null;
-    const key = this.apiKeys[this.currentKeyIndex];
-    this.currentKeyIndex = (this.currentKeyIndex + 1) % this.apiKeys.length;
-    return key;
+    return this.apiKeys.acquire();
   }
 
   async makeRequest(endpoint, params = {}) {
     try {
-      const apiKey = this.getApiKey();
-      const headers = apiKey ? { 'TRON-PRO-API-KEY': apiKey } : {};
-      
-      const response = await axios.get(`${this.baseURL}${endpoint}`, {
-        params,
-        headers,
-        timeout: 10000,
-      });
-      
-      return response.data;
+      // A retry picks the next key from the rotation
+      return await requestWithRetry('tronscan', async () => {
+        const apiKey = this.getApiKey();
+        const headers = apiKey ? { [API_KEY_HEADER]: apiKey } : {};
+
+        try {
+          const response = await axios.get(`${this.baseURL}${endpoint}`, {
+            params,
+            headers,
+            timeout: 10000,
+          });
+          this.apiKeys.recordResult(apiKey, response.status);
+          return response.data;
+        } catch (error) {
+          error.keyRetired = this.apiKeys.recordResult(apiKey, error.response?.status, error.response?.data);
+          throw error;
+        }
+      }, `TronScan ${endpoint}`);
     } catch (error) {
       console.error(`TronScan API error for ${endpoint}:`, error.message);
       throw error;
@@ -1,109 +1,134 @@
 /**
  * USDT Energy Data - Accurate energy consumption data for USDT operations
+ * Energy values come from the energy knowledge store (knowledge/energy-constants.json
+ * and the calibration job) and are read on every access, so a new calibration shows at once
  */
-export const USDTEnergyData = {
-  // USDT Contract Address
-  CONTRACT_ADDRESS: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
-  
-  // Test addresses for energy estimation
-  TEST_ADDRESSES: {
-    EXISTING_ADDRESS: 'TKyWtnzwBNiQ7aZc7drNjAULb65kDJSXeq', // For testing transfers to existing addresses
-    NEW_ADDRESS_TEMPLATE: 'TC6uvxCcXzYeRo7uphDPfFR5QhdwFL5crW' // Template for new address transfers
-  },
+
+const CONTRACT_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+
+/**
+ * USDT energy data backed by a knowledge store
+ * @param {EnergyKnowledge} energyKnowledge - The store the energy estimator and calibrator use
+ */
+export function createUSDTEnergyData(energyKnowledge) {
+  if (!energyKnowledge) {
+    throw new Error('USDTEnergyData requires the energy knowledge store');
+  }
+  const baseEnergy = (name, variant = null) => energyKnowledge.getBaseEnergy(CONTRACT_ADDRESS, name, { variant }).base_energy;
+  const transferEnergy = () => baseEnergy('transfer', 'existing_recipient');
+  const newRecipientTransferEnergy = () => baseEnergy('transfer', 'new_recipient');
+
+  return {
+    // USDT Contract Address
+    CONTRACT_ADDRESS,
   
-  // Energy consumption by function
-  FUNCTIONS: {
-    transfer: {
-      toExistingAddress: 13940, // Energy for transfer to existing address
-      toNewAddress: 31990,      // Energy for transfer to new address (activation)
-      description: 'Transfer USDT to another address'
-    },
-    
-    approve: {
-      energy: 13180,
-      description: 'Approve another address to spend USDT'
+    // Test addresses for energy estimation
+    TEST_ADDRESSES: {
+      EXISTING_ADDRESS: 'TKyWtnzwBNiQ7aZc7drNjAULb65kDJSXeq', // For testing transfers to existing addresses
+      NEW_ADDRESS_TEMPLATE: 'TC6uvxCcXzYeRo7uphDPfFR5QhdwFL5crW' // Template for new address transfers
     },
-    
-    transferFrom: {
-      energy: 18190,
-      description: 'Transfer USDT from approved address'
+  
+    // Base energy consumption by function, before the dynamic energy penalty
+    // (USDT's energy_factor multiplies these, see dynamic-energy.js)
+    get FUNCTIONS() {
+      return {
+        transfer: {
+          toExistingAddress: transferEnergy(),            // Energy for transfer to existing address
+          toNewAddress: newRecipientTransferEnergy(),     // Energy for transfer to new address (activation)
+          description: 'Transfer USDT to another address'
+        },
+
+        approve: {
+          energy: baseEnergy('approve'),
+          description: 'Approve another address to spend USDT'
+        },
+
+        transferFrom: {
+          energy: baseEnergy('transferFrom'),
+          description: 'Transfer USDT from approved address'
+        },
+
+        balanceOf: {
+          energy: baseEnergy('balanceOf'),
+          description: 'Query USDT balance of an address'
+        },
+
+        allowance: {
+          energy: baseEnergy('allowance'),
+          description: 'Query allowance between two addresses'
+        }
+      };
     },
-    
-    balanceOf: {
-      energy: 680,
-      description: 'Query USDT balance of an address'
+  
+    // Energy price information
+    ENERGY_PRICING: {
+      sunPerUnit: 210,           // Current energy price: 210 SUN per unit
+      trxPerUnit: 0.00021,       // Equivalent in TRX
+      usdPerUnit: 0.00004,       // Approximate USD cost per unit
+      burnedTrxAlternative: 14.5 // TRX burned if no energy available
     },
-    
-    allowance: {
-      energy: 680,
-      description: 'Query allowance between two addresses'
-    }
-  },
   
-  // Energy price information
-  ENERGY_PRICING: {
-    sunPerUnit: 210,           // Current energy price: 210 SUN per unit
-    trxPerUnit: 0.00021,       // Equivalent in TRX
-    usdPerUnit: 0.00004,       // Approximate USD cost per unit
-    burnedTrxAlternative: 14.5 // TRX burned if no energy available
-  },
+    // Common transfer scenarios
+    get SCENARIOS() {
+      const standard = transferEnergy();
+      const newRecipient = newRecipientTransferEnergy();
+      return {
+        standardTransfer: {
+          energy: standard,
+          costInSun: standard * 210,
+          costInTrx: standard * 0.00021,
+          description: 'Standard USDT transfer to existing address'
+        },
+
+        newAddressTransfer: {
+          energy: newRecipient,
+          costInSun: newRecipient * 210,
+          costInTrx: newRecipient * 0.00021,
+          description: 'USDT transfer to new address (includes activation)'
+        },
+
+        withoutEnergy: {
+          energy: 0,
+          burnedTrx: 14.5,
+          description: 'Transfer without sufficient energy (burns TRX)'
+        }
+      };
+    },
   
-  // Common transfer scenarios
-  SCENARIOS: {
-    standardTransfer: {
-      energy: 13940,
-      costInSun: 13940 * 210,
-      costInTrx: 13940 * 0.00021,
-      description: 'Standard USDT transfer to existing address'
+    // Helper functions
+    calculateCost: function(energy, pricePerUnit = this.ENERGY_PRICING.sunPerUnit) {
+      return {
+        energy: energy,
+        costInSun: energy * pricePerUnit,
+        costInTrx: energy * pricePerUnit / 1000000,
+        costInUsd: energy * this.ENERGY_PRICING.usdPerUnit
+      };
     },
-    
-    newAddressTransfer: {
-      energy: 31990,
-      costInSun: 31990 * 210,
-      costInTrx: 31990 * 0.00021,
-      description: 'USDT transfer to new address (includes activation)'
+  
+    isNewAddress: function(address) {
+      // This would need to check if address has been activated
+      // For now, return false (assume existing address)
+      return false;
     },
-    
-    withoutEnergy: {
-      energy: 0,
-      burnedTrx: 14.5,
-      description: 'Transfer without sufficient energy (burns TRX)'
-    }
-  },
   
-  // Helper functions
-  calculateCost: function(energy, pricePerUnit = this.ENERGY_PRICING.sunPerUnit) {
-    return {
-      energy: energy,
-      costInSun: energy * pricePerUnit,
-      costInTrx: energy * pricePerUnit / 1000000,
-      costInUsd: energy * this.ENERGY_PRICING.usdPerUnit
-    };
-  },
+    getTransferEnergy: function(toAddress) {
+      return this.isNewAddress(toAddress) 
+        ? this.FUNCTIONS.transfer.toNewAddress
+        : this.FUNCTIONS.transfer.toExistingAddress;
+    },
   
-  isNewAddress: function(address) {
-    // This would need to check if address has been activated
-    // For now, return false (assume existing address)
-    return false;
-  },
+    // Energy estimation for different amounts
+    estimateByAmount: function(amount, toAddress) {
+      const baseEnergy = this.getTransferEnergy(toAddress);
   
-  getTransferEnergy: function(toAddress) {
-    return this.isNewAddress(toAddress) 
-      ? this.FUNCTIONS.transfer.toNewAddress
-      : this.FUNCTIONS.transfer.toExistingAddress;
-  },
+      // Large amounts might require slightly more energy
+      if (amount > 1000000 * 1000000) { // > 1M USDT
+        return baseEnergy + 500;
+      }
   
-  // Energy estimation for different amounts
-  estimateByAmount: function(amount, toAddress) {
-    const baseEnergy = this.getTransferEnergy(toAddress);
-    
-    // Large amounts might require slightly more energy
-    if (amount > 1000000 * 1000000) { // > 1M USDT
-      return baseEnergy + 500;
+      return baseEnergy;
     }
-    
-    return baseEnergy;
-  }
-};
+  };
+}
 
-export default USDTEnergyData;
\ No newline at end of file
+export default createUSDTEnergyData;
\ No newline at end of file
@@ -1,35 +1,24 @@
 /**
  * USDT Energy Helper
- * Точный расчет энергии для USDT переводов на основе production данных netts.io
+ * Расчет энергии для USDT переводов: базовая энергия из хранилища констант (energy-knowledge.js)
+ * и текущий energy_factor контракта
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { applyEnergyFactor } from './dynamic-energy.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const USDT_CONTRACT = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
 
 export class USDTEnergyHelper {
-  constructor() {
-    // Загружаем реальные данные из knowledge base
-    const knowledgePath = path.join(__dirname, 'knowledge/usdt-energy-facts.json');
-    try {
-      const data = fs.readFileSync(knowledgePath, 'utf8');
-      this.energyFacts = JSON.parse(data).usdt_transfer_energy;
-    } catch (error) {
-      console.error('Failed to load USDT energy facts:', error);
-      // Fallback значения на основе тестов
-      this.energyFacts = {
-        energy_costs: {
-          to_address_with_usdt: { energy: 64285 },
-          to_address_without_usdt: { energy: 130285 }
-        },
-        cost_in_trx: {
-          energy_price_sun: 420
-        }
-      };
+  /**
+   * @param {Object} options
+   * @param {EnergyKnowledge} options.energyKnowledge - хранилище, которое используют оценщик и калибровка
+   */
+  constructor({ energyKnowledge = null } = {}) {
+    if (!energyKnowledge) {
+      throw new Error('USDTEnergyHelper requires the energy knowledge store');
     }
+    // Базовая энергия берется из общего хранилища констант (калибруется по реальным транзакциям)
+    this.energyKnowledge = energyKnowledge;
   }
 
   /**
@@ -40,7 +29,7 @@ export class USDTEnergyHelper {
    */
   async hasUSDT(tronWeb, address) {
     try {
-      const contract = await tronWeb.contract().at('TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t');
+      const contract = await tronWeb.contract().at(USDT_CONTRACT);
       const balance = await contract.balanceOf(address).call();
       return balance > 0;
     } catch (error) {
@@ -61,23 +50,32 @@ export class USDTEnergyHelper {
       // Проверяем, есть ли USDT на адресе получателя
       const hasUSDT = await this.hasUSDT(tronWeb, toAddress);
       
-      // Выбираем правильное значение энергии
-      const energyData = hasUSDT 
-        ? this.energyFacts.energy_costs.to_address_with_usdt
-        : this.energyFacts.energy_costs.to_address_without_usdt;
-      
-      const energyRequired = energyData.energy;
-      const energyPriceSun = this.energyFacts.cost_in_trx.energy_price_sun;
+      // Выбираем правильное значение энергии и применяем текущий energy_factor контракта
+      const energyData = this.energyKnowledge.getBaseEnergy(USDT_CONTRACT, 'transfer', {
+        variant: hasUSDT ? 'existing_recipient' : 'new_recipient'
+      });
+      const contractInfo = await tronWeb.fullNode.request(
+        'wallet/getcontractinfo',
+        { value: USDT_CONTRACT, visible: true },
+        'post'
+      );
+      const energyFactor = contractInfo?.contract_state?.energy_factor || 0;
+
+      const energyRequired = applyEnergyFactor(energyData.base_energy, energyFactor);
+      const parameters = await tronWeb.trx.getChainParameters();
+      const energyPriceSun = parameters.find(item => item.key === 'getEnergyFee')?.value || 0;
       const costInTRX = (energyRequired * energyPriceSun) / 1_000_000;
       
       return {
         success: true,
-        contractAddress: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+        contractAddress: USDT_CONTRACT,
         tokenName: 'USDT',
         amount: amount,
         toAddress: toAddress,
         addressHasUSDT: hasUSDT,
         energyRequired: energyRequired,
+        baseEnergy: energyData.base_energy,
+        energyFactor: energyFactor,
         energyPriceSun: energyPriceSun,
         costInTRX: costInTRX,
         costInSUN: energyRequired * energyPriceSun,
@@ -87,15 +85,16 @@ export class USDTEnergyHelper {
         note: hasUSDT
           ? 'Стандартная стоимость для адреса с USDT'
           : 'Увеличенная стоимость т.к. это первая отправка USDT на этот адрес',
-        source: 'netts.io production data',
-        lastVerified: this.energyFacts.last_verified
+        source: energyData.source,
+        lastVerified: energyData.verified_at,
+        samples: energyData.samples
       };
     } catch (error) {
       return {
         success: false,
         error: error.message,
-        fallbackEnergy: 65000, // Среднее значение для безопасности
-        note: 'Используется среднее значение из-за ошибки'
+        fallbackEnergy: this.energyKnowledge.getBaseEnergy(USDT_CONTRACT, 'transfer').base_energy,
+        note: 'Используется базовая энергия без динамического штрафа из-за ошибки'
       };
     }
   }